@@ -4,12 +4,31 @@
  */
 
 import fileSystemService from './services/fileSystemService.js';
-import taskService from './services/taskService.js';
-import sprintService from './services/sprintService.js';
-import { parseMarkdown, createMarkdown } from './services/markdownParser.js';
+import storageService, { STORAGE_KEYS } from './services/storageService.js';
+import workspaceService from './services/workspaceService.js';
+import taskService, { TASKS_DIR } from './services/taskService.js';
+import sprintService, { SPRINTS_DIR } from './services/sprintService.js';
+import epicService, { EPICS_DIR, getEpicId, getEpicColor, getEpicProgress } from './services/epicService.js';
+import changeDetector from './services/changeDetector.js';
+import conflictService, { SaveCancelledError } from './services/conflictService.js';
+import searchIndex from './services/searchIndex.js';
+import { parseQuery, evaluateQuery, createQueryContext, QueryError } from './services/searchQuery.js';
+import { normalizeViews, createViewId, serializeView } from './services/savedViews.js';
+import { sortByRank } from './services/ranking.js';
+import { parseMarkdown, createMarkdown, updateMarkdown, YamlError } from './services/markdownParser.js';
+import { normalizeStatuses, DEFAULT_STATUSES } from './services/workflow.js';
+import { normalizeMembers, resolveAssignee, getInitials } from './services/members.js';
+import { normalizeLabels, resolveLabel, hasLabel } from './services/labels.js';
+import { normalizeFields } from './services/customFields.js';
+import { getParentId } from './services/subtasks.js';
 import { SearchController } from './components/search.js';
 import { ModalsController } from './components/modals.js';
 import { TaskCardRenderer } from './components/taskCard.js';
+import { SprintReport } from './components/SprintReport.js';
+import { AnalyticsView } from './components/AnalyticsView.js';
+import { ProjectSwitcher } from './components/ProjectSwitcher.js';
+import { DashboardView } from './components/DashboardView.js';
+import { BulkActions } from './components/BulkActions.js';
 
 // Project configuration
 const PROJECT_CONFIG_FILE = 'project.md';
@@ -17,16 +36,35 @@ const PROJECT_CONFIG_FILE = 'project.md';
 class App {
   constructor() {
     this.projectConfig = null;
+    this.project = null;
     this.currentView = 'backlog';
     this.currentSprintId = null;
+    this.currentSavedViewId = null;
+    this.currentEpicId = null;
     this.tasks = [];
     this.sprints = [];
+    this.epics = [];
+    this.statuses = normalizeStatuses(DEFAULT_STATUSES);
+    this.members = [];
+    this.assigneeFilter = null;
+    this.swimlanes = false;
+    this.labels = [];
+    this.labelFilter = [];
+    this.views = [];
+    this.fields = [];
+    this.subtaskIndex = null;
+    this.selectedTaskIds = new Set();
     this.draggedTask = null;
 
     // Initialize components
     this.search = new SearchController(this);
     this.modals = new ModalsController(this);
     this.taskCard = new TaskCardRenderer(this);
+    this.sprintReport = new SprintReport(this);
+    this.analytics = new AnalyticsView(this);
+    this.projectSwitcher = new ProjectSwitcher(this);
+    this.dashboard = new DashboardView(this);
+    this.bulkActions = new BulkActions(this);
 
     this.init();
   }
@@ -35,10 +73,41 @@ class App {
     this.bindEvents();
     this.search.init();
     this.modals.init();
+    this.sprintReport.init();
+    this.projectSwitcher.init();
+    this.dashboard.init();
+    this.bulkActions.init();
+    conflictService.setResolver(conflict => this.modals.showConflictDialog(conflict));
     this.checkBrowserSupport();
+    this.loadUserName();
     this.tryRestoreProject();
   }
 
+  /**
+   * Load the name recorded in task history
+   */
+  async loadUserName() {
+    const name = await storageService.get(STORAGE_KEYS.USER_NAME);
+    this.applyUserName(name || null);
+  }
+
+  /**
+   * Ask for the name recorded in task history
+   */
+  async changeUserName() {
+    const name = prompt('Your name (recorded in task history):', taskService.author || '');
+    if (name === null) return;
+
+    const trimmed = name.trim();
+    await storageService.set(STORAGE_KEYS.USER_NAME, trimmed);
+    this.applyUserName(trimmed || null);
+  }
+
+  applyUserName(name) {
+    taskService.setAuthor(name);
+    document.getElementById('userNameText').textContent = name || 'Set your name';
+  }
+
   /**
    * Try to restore the previously used directory on startup
    */
@@ -63,22 +132,62 @@ class App {
 
     // Navigation
     document.querySelector('[data-view="backlog"]').addEventListener('click', () => this.showBacklog());
+    document.querySelector('[data-view="analytics"]').addEventListener('click', () => this.showAnalytics());
+    document.querySelector('[data-view="dashboard"]').addEventListener('click', () => this.showDashboard());
+
+    // Saved views
+    document.getElementById('newViewBtn').addEventListener('click', () => this.modals.showViewModal());
+    document.getElementById('editViewBtn').addEventListener('click', () => {
+      const view = this.views.find(v => v.id === this.currentSavedViewId);
+      if (view) this.modals.showViewModal(view);
+    });
 
     // Sprint & Task creation
     document.getElementById('newSprintBtn').addEventListener('click', () => this.modals.showSprintModal());
     document.getElementById('newTaskBtn').addEventListener('click', () => this.modals.showTaskModal());
     document.getElementById('addToSprintBtn').addEventListener('click', () => this.modals.showBacklogPicker());
 
+    // User name for task history
+    document.getElementById('userNameBtn').addEventListener('click', () => this.changeUserName());
+
     // Search bar
     document.getElementById('searchBarBtn').addEventListener('click', () => this.search.show());
 
+    // Duplicate ID repair
+    document.getElementById('renumberDuplicatesBtn').addEventListener('click', () => this.modals.showRenumberDialog());
+
+    // Drag to reorder (the lists stay in the page, so they're bound once)
+    this.taskCard.setupListDragAndDrop(document.getElementById('backlogList'), { sprint: null });
+    this.taskCard.setupListDragAndDrop(document.getElementById('savedViewList'));
+    this.taskCard.setupSprintDropTarget(document.querySelector('[data-view="backlog"]'), null);
+
+    // Board layout
+    document.getElementById('swimlaneToggle').addEventListener('change', (e) => {
+      this.swimlanes = e.target.checked;
+      this.renderSprintBoard();
+    });
+
     // Sprint actions
     document.getElementById('startSprintBtn').addEventListener('click', () => this.startCurrentSprint());
+    // Epics
+    document.getElementById('newEpicBtn').addEventListener('click', () => this.modals.showEpicModal());
+    document.getElementById('editEpicBtn').addEventListener('click', () => {
+      const epic = this.epics.find(e => e.id === this.currentEpicId);
+      if (epic) this.modals.showEpicModal(epic);
+    });
+    document.getElementById('newEpicTaskBtn').addEventListener('click', () => {
+      this.modals.showTaskModal(null, { epic: this.currentEpicId });
+    });
+
+    document.getElementById('editSprintBtn').addEventListener('click', () => {
+      const sprint = this.sprints.find(s => s.id === this.currentSprintId);
+      if (sprint) this.modals.showSprintModal(sprint);
+    });
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
-        document.querySelectorAll('.modal-overlay').forEach(m => m.classList.remove('active'));
+        document.querySelectorAll('.modal-overlay:not([data-persistent])').forEach(m => m.classList.remove('active'));
         this.search.hide();
       }
       // Ctrl+K or Cmd+K to open search
@@ -103,54 +212,130 @@ class App {
     this.showMainContent();
   }
 
+  /**
+   * Switch to a project from the recent projects list
+   * @param {Object} project - Recent project entry
+   */
+  async openRecentProject(project) {
+    const restored = await fileSystemService.restoreHandle(project.handle);
+    if (!restored) {
+      alert(`Access to "${project.name}" was not granted.`);
+      return;
+    }
+
+    await this.loadProject();
+    this.showMainContent();
+  }
+
   async loadProject() {
     // Try to load existing config
     const configContent = await fileSystemService.readRootFile(PROJECT_CONFIG_FILE);
     
     if (configContent) {
-      const { frontmatter } = parseMarkdown(configContent);
-      this.projectConfig = frontmatter;
+      try {
+        const { frontmatter } = parseMarkdown(configContent);
+        this.projectConfig = frontmatter;
+      } catch (err) {
+        if (!(err instanceof YamlError)) throw err;
+        alert(`Could not read ${PROJECT_CONFIG_FILE}: ${err.message}`);
+        return;
+      }
     } else {
       // Create new project config
       this.projectConfig = {
         name: fileSystemService.getDirectoryName() || 'My Project',
         nextTaskId: 1,
         nextSprintId: 1,
-        statuses: ['todo', 'in-progress', 'done']
+        statuses: [...DEFAULT_STATUSES]
       };
-      await this.saveProjectConfig();
+      await fileSystemService.writeRootFile(PROJECT_CONFIG_FILE, createMarkdown(this.projectConfig));
     }
 
+    this.statuses = normalizeStatuses(this.projectConfig.statuses);
+    this.members = normalizeMembers(this.projectConfig.members);
+    this.labels = normalizeLabels(this.projectConfig.labels);
+    this.views = normalizeViews(this.projectConfig.views);
+    this.fields = normalizeFields(this.projectConfig.fields);
+    this.assigneeFilter = null;
+    this.labelFilter = [];
+
     document.getElementById('projectName').textContent = this.projectConfig.name;
     document.getElementById('newSprintBtn').disabled = false;
     document.getElementById('searchBarBtn').disabled = false;
 
+    this.project = await workspaceService.openProject(fileSystemService.directoryHandle, this.projectConfig.name);
+
+    // Views from the previous project don't apply here
+    this.currentView = 'backlog';
+    this.currentSprintId = null;
+    this.currentSavedViewId = null;
+    this.currentEpicId = null;
+
     // Load data
     await this.loadAllData();
+    this.restoreUiState(this.project.uiState);
+
+    // Pick up edits made in other editors or by git
+    await changeDetector.start([TASKS_DIR, SPRINTS_DIR, EPICS_DIR], changes => this.applyExternalChanges(changes));
   }
 
-  async saveProjectConfig() {
-    const content = createMarkdown({
-      name: this.projectConfig.name,
-      nextTaskId: this.projectConfig.nextTaskId,
-      nextSprintId: this.projectConfig.nextSprintId,
-      statuses: this.projectConfig.statuses
-    });
-    
-    await fileSystemService.writeRootFile(PROJECT_CONFIG_FILE, content);
+  /**
+   * Set keys in project.md. The file is re-read first, so whatever else is in
+   * it (keys a teammate saved since it was loaded, comments, the body) is kept.
+   * @param {Object|Function} changes - Keys to set, an undefined value removes the key.
+   *   A function gets the frontmatter as it is on disk and returns the keys to set.
+   */
+  async updateProjectConfig(changes) {
+    const content = await fileSystemService.readRootFile(PROJECT_CONFIG_FILE);
+
+    let updated;
+    try {
+      const stored = content ? parseMarkdown(content).frontmatter : this.projectConfig;
+      const values = typeof changes === 'function' ? changes(stored) : changes;
+      updated = content ? updateMarkdown(content, values) : createMarkdown({ ...this.projectConfig, ...values });
+    } catch (err) {
+      if (err instanceof YamlError) alert(`Could not update ${PROJECT_CONFIG_FILE}: ${err.message}`);
+      throw err;
+    }
+
+    await fileSystemService.writeRootFile(PROJECT_CONFIG_FILE, updated);
+    this.projectConfig = parseMarkdown(updated).frontmatter;
   }
 
   async getNextTaskId() {
-    const id = this.projectConfig.nextTaskId;
-    this.projectConfig.nextTaskId++;
-    await this.saveProjectConfig();
-    return id;
+    return await this.allocateId('nextTaskId', await taskService.getUsedIds());
   }
 
   async getNextSprintId() {
-    const id = this.projectConfig.nextSprintId;
-    this.projectConfig.nextSprintId++;
-    await this.saveProjectConfig();
+    const sprints = await sprintService.getAllSprints();
+    return await this.allocateId('nextSprintId', sprints.map(sprint => sprint.id));
+  }
+
+  async getNextEpicId() {
+    const epics = await epicService.getAllEpics();
+    return await this.allocateId('nextEpicId', epics.map(epic => epic.id));
+  }
+
+  /**
+   * Allocate an ID from a project.md counter, skipping IDs already used on
+   * disk (e.g. by files created on another branch and merged in)
+   * @param {string} counterKey - 'nextTaskId', 'nextSprintId' or 'nextEpicId'
+   * @param {number[]} used - IDs of the tasks, sprints or epics currently on disk
+   * @returns {Promise<number>}
+   */
+  async allocateId(counterKey, used) {
+    const highest = used.reduce((max, id) => (Number.isInteger(id) ? Math.max(max, id) : max), 0);
+
+    let id;
+    await this.updateProjectConfig(stored => {
+      // The counter on disk may have moved on since project.md was loaded
+      id = Math.max(
+        parseInt(this.projectConfig[counterKey]) || 1,
+        parseInt(stored[counterKey]) || 1,
+        highest + 1
+      );
+      return { [counterKey]: id + 1 };
+    });
     return id;
   }
 
@@ -164,46 +349,204 @@ class App {
   // ============================================
 
   async loadAllData() {
-    this.tasks = await taskService.getAllTasks();
-    this.sprints = await sprintService.getAllSprints();
+    [this.tasks, this.sprints, this.epics] = await Promise.all([
+      taskService.getAllTasks(),
+      sprintService.getAllSprints(),
+      epicService.getAllEpics()
+    ]);
+    searchIndex.sync(this.tasks);
     
     this.renderSprintList();
+    this.renderEpicList();
+    this.renderViewList();
+    this.renderLabelOptions();
+    this.renderCurrentView();
+    this.bulkActions.render();
+    this.renderDuplicateWarning();
+  }
+
+  /**
+   * Re-render from the in-memory cache after the app changed tasks, sprints or epics
+   */
+  refresh() {
+    this.tasks = taskService.getCachedTasks();
+    this.sprints = sprintService.getCachedSprints();
+    this.epics = epicService.getCachedEpics();
+    searchIndex.sync(this.tasks);
+
+    this.renderSprintList();
+    this.renderEpicList();
+    this.renderLabelOptions();
     this.renderCurrentView();
+    this.bulkActions.render();
+    this.renderDuplicateWarning();
+  }
+
+  /**
+   * Warn when several task files share an ID (typically after a git merge)
+   */
+  renderDuplicateWarning() {
+    const duplicates = taskService.findDuplicateIds(this.tasks);
+    const warning = document.getElementById('duplicateWarning');
+
+    if (duplicates.size === 0) {
+      warning.style.display = 'none';
+      return;
+    }
+
+    const ids = [...duplicates.keys()].map(id => `#${id}`).join(', ');
+    document.getElementById('duplicateWarningText').textContent =
+      `Several task files share the same ID: ${ids}`;
+    warning.style.display = 'flex';
+  }
+
+  /**
+   * Reload files that changed on disk outside the app
+   * @param {Object} changes - { [subdir]: { changed: string[], removed: string[] } }
+   */
+  async applyExternalChanges(changes) {
+    const taskCount = await taskService.applyFileChanges(changes[TASKS_DIR]);
+    const sprintCount = await sprintService.applyFileChanges(changes[SPRINTS_DIR]);
+    const epicCount = await epicService.applyFileChanges(changes[EPICS_DIR]);
+
+    // Only the board and sidebar are redrawn so open modals keep their input
+    this.refresh();
+
+    const parts = [];
+    if (taskCount > 0) {
+      parts.push(`${taskCount} ${taskCount === 1 ? 'task' : 'tasks'}`);
+    }
+    if (sprintCount > 0) {
+      parts.push(`${sprintCount} ${sprintCount === 1 ? 'sprint' : 'sprints'}`);
+    }
+    if (epicCount > 0) {
+      parts.push(`${epicCount} ${epicCount === 1 ? 'epic' : 'epics'}`);
+    }
+    if (parts.length > 0) {
+      const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+      this.showNotice(`${list} changed on disk`);
+    }
   }
 
   // ============================================
   // Navigation
   // ============================================
 
+  /**
+   * Return to the view a project was left on
+   * @param {Object|null} uiState - { view, sprintId, savedViewId, epicId }
+   */
+  restoreUiState(uiState) {
+    if (uiState?.view === 'sprint' && this.sprints.some(s => s.id === uiState.sprintId)) {
+      this.showSprint(uiState.sprintId);
+    } else if (uiState?.view === 'epic' && this.epics.some(e => e.id === uiState.epicId)) {
+      this.showEpic(uiState.epicId);
+    } else if (uiState?.view === 'saved' && this.views.some(v => v.id === uiState.savedViewId)) {
+      this.showSavedView(uiState.savedViewId);
+    } else if (uiState?.view === 'analytics') {
+      this.showAnalytics();
+    } else if (uiState?.view === 'dashboard') {
+      this.showDashboard();
+    } else {
+      this.showBacklog();
+    }
+  }
+
+  /**
+   * Remember the current view for the next time this project is opened
+   */
+  saveUiState() {
+    if (!this.project) return;
+    workspaceService.saveUiState(this.project.id, {
+      view: this.currentView,
+      sprintId: this.currentSprintId,
+      savedViewId: this.currentSavedViewId,
+      epicId: this.currentEpicId
+    });
+  }
+
+  /**
+   * Show one of the board area views and highlight its nav item
+   * @param {string} viewId - Element id of the view
+   * @param {Element|null} navItem - Nav item to mark active
+   */
+  activateView(viewId, navItem) {
+    document.querySelectorAll('.nav-item, .sprint-nav-item, .epic-nav-item, .view-nav-item').forEach(el => el.classList.remove('active'));
+    if (navItem) navItem.classList.add('active');
+
+    document.querySelectorAll('.board-area > .view').forEach(view => {
+      view.style.display = view.id === viewId ? 'flex' : 'none';
+    });
+
+    // A selection only makes sense within the view it was made in
+    this.clearSelection();
+  }
+
   showBacklog() {
     this.currentView = 'backlog';
     this.currentSprintId = null;
-    
-    // Update nav
-    document.querySelectorAll('.nav-item, .sprint-nav-item').forEach(el => el.classList.remove('active'));
-    document.querySelector('[data-view="backlog"]').classList.add('active');
-    
-    // Show view
-    document.getElementById('backlogView').style.display = 'flex';
-    document.getElementById('sprintView').style.display = 'none';
+    this.currentSavedViewId = null;
+    this.currentEpicId = null;
+    this.activateView('backlogView', document.querySelector('[data-view="backlog"]'));
     
     this.renderBacklog();
+    this.saveUiState();
+  }
+
+  showAnalytics() {
+    this.currentView = 'analytics';
+    this.currentSprintId = null;
+    this.currentSavedViewId = null;
+    this.currentEpicId = null;
+    this.activateView('analyticsView', document.querySelector('[data-view="analytics"]'));
+
+    this.analytics.render();
+    this.saveUiState();
+  }
+
+  showDashboard() {
+    this.currentView = 'dashboard';
+    this.currentSprintId = null;
+    this.currentSavedViewId = null;
+    this.currentEpicId = null;
+    this.activateView('dashboardView', document.querySelector('[data-view="dashboard"]'));
+
+    // Usually opened by a click, so folders that need permission can ask for it
+    this.dashboard.load(true);
+    this.saveUiState();
   }
 
   showSprint(sprintId) {
     this.currentView = 'sprint';
     this.currentSprintId = sprintId;
-    
-    // Update nav
-    document.querySelectorAll('.nav-item, .sprint-nav-item').forEach(el => el.classList.remove('active'));
-    const sprintNav = document.querySelector(`.sprint-nav-item[data-sprint-id="${sprintId}"]`);
-    if (sprintNav) sprintNav.classList.add('active');
-    
-    // Show view
-    document.getElementById('backlogView').style.display = 'none';
-    document.getElementById('sprintView').style.display = 'flex';
+    this.currentSavedViewId = null;
+    this.currentEpicId = null;
+    this.activateView('sprintView', document.querySelector(`.sprint-nav-item[data-sprint-id="${sprintId}"]`));
     
     this.renderSprintBoard();
+    this.saveUiState();
+  }
+
+  showEpic(epicId) {
+    this.currentView = 'epic';
+    this.currentSprintId = null;
+    this.currentSavedViewId = null;
+    this.currentEpicId = epicId;
+    this.activateView('epicView', document.querySelector(`.epic-nav-item[data-epic-id="${epicId}"]`));
+
+    this.renderEpic();
+    this.saveUiState();
+  }
+
+  showSavedView(viewId) {
+    this.currentView = 'saved';
+    this.currentSprintId = null;
+    this.currentSavedViewId = viewId;
+    this.currentEpicId = null;
+    this.activateView('savedView', document.querySelector(`.view-nav-item[data-view-id="${CSS.escape(viewId)}"]`));
+
+    this.renderSavedView();
+    this.saveUiState();
   }
 
   renderCurrentView() {
@@ -211,9 +554,54 @@ class App {
       this.renderBacklog();
     } else if (this.currentView === 'sprint' && this.currentSprintId) {
       this.renderSprintBoard();
+    } else if (this.currentView === 'epic' && this.currentEpicId) {
+      this.renderEpic();
+    } else if (this.currentView === 'saved' && this.currentSavedViewId) {
+      this.renderSavedView();
+    } else if (this.currentView === 'analytics') {
+      this.analytics.render();
+    } else if (this.currentView === 'dashboard') {
+      this.dashboard.refreshCurrentProject();
     }
   }
 
+  /**
+   * The open project's data, as used for cross-project views
+   * @returns {Object} { project, tasks, sprints, epics, statuses, members }
+   */
+  getProjectData() {
+    return {
+      project: this.project,
+      tasks: this.tasks,
+      sprints: this.sprints,
+      epics: this.epics,
+      statuses: this.statuses,
+      members: this.members
+    };
+  }
+
+  /**
+   * Open a task, switching to its project first if needed
+   * @param {Object} project - Recent project entry the task belongs to
+   * @param {number} taskId - Task ID
+   */
+  async openProjectTask(project, taskId) {
+    if (project.id !== this.project?.id) {
+      await this.openRecentProject(project);
+      if (project.id !== this.project?.id) return;
+    }
+
+    const task = this.tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    if (task.sprint) {
+      this.showSprint(task.sprint);
+    } else {
+      this.showBacklog();
+    }
+    this.modals.showTaskModal(task);
+  }
+
   // ============================================
   // Sprint List (Sidebar)
   // ============================================
@@ -226,7 +614,12 @@ class App {
       return;
     }
 
-    container.innerHTML = this.sprints.map(sprint => `
+    // Ordered by schedule, so editing dates moves a sprint in the list
+    const sprints = [...this.sprints].sort((a, b) =>
+      String(a.startDate).localeCompare(String(b.startDate)) || a.id - b.id
+    );
+
+    container.innerHTML = sprints.map(sprint => `
       <button class="sprint-nav-item ${this.currentSprintId === sprint.id ? 'active' : ''}" 
               data-sprint-id="${sprint.id}">
         <span class="sprint-indicator ${sprint.status}"></span>
@@ -234,22 +627,276 @@ class App {
       </button>
     `).join('');
 
-    // Bind click events
+    // Bind click events, and drops of tasks onto sprints that can still take work
     container.querySelectorAll('.sprint-nav-item').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const id = parseInt(btn.dataset.sprintId);
-        this.showSprint(id);
-      });
+      const id = parseInt(btn.dataset.sprintId);
+      btn.addEventListener('click', () => this.showSprint(id));
+
+      if (this.sprints.find(s => s.id === id)?.status !== 'completed') {
+        this.taskCard.setupSprintDropTarget(btn, id);
+      }
     });
   }
 
+  // ============================================
+  // Epics
+  // ============================================
+
+  renderEpicList() {
+    const container = document.getElementById('epicList');
+
+    if (this.epics.length === 0) {
+      container.innerHTML = '<div class="nav-label" style="opacity: 0.5;">No epics yet</div>';
+      return;
+    }
+
+    // Finished epics go last
+    const epics = [...this.epics].sort((a, b) => (a.status === 'done') - (b.status === 'done') || a.id - b.id);
+
+    container.innerHTML = epics.map(epic => `
+      <button class="epic-nav-item ${epic.status} ${this.currentEpicId === epic.id ? 'active' : ''}"
+              data-epic-id="${epic.id}">
+        <span class="epic-swatch" style="background: ${getEpicColor(epic)}"></span>
+        ${this.escapeHtml(epic.name)}
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.epic-nav-item').forEach(btn => {
+      btn.addEventListener('click', () => this.showEpic(parseInt(btn.dataset.epicId)));
+    });
+  }
+
+  /**
+   * Look up the epic a task belongs to
+   * @param {Object} task - Task
+   * @returns {Object|null}
+   */
+  getEpic(task) {
+    const id = getEpicId(task);
+    return id === null ? null : this.epics.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Render the current epic: progress overall and per sprint, and its tasks
+   */
+  renderEpic() {
+    const epic = this.epics.find(e => e.id === this.currentEpicId);
+    if (!epic) {
+      // Deleted, possibly outside the app
+      this.showBacklog();
+      return;
+    }
+
+    const color = getEpicColor(epic);
+    document.getElementById('epicSwatch').style.background = color;
+    document.getElementById('epicTitle').textContent = epic.name;
+    document.getElementById('epicTargetDate').textContent = epic.targetDate ? `Target: ${epic.targetDate}` : '';
+
+    const badge = document.getElementById('epicStatusBadge');
+    badge.textContent = epic.status;
+    badge.className = `sprint-status-badge ${epic.status}`;
+
+    const tasks = sortByRank(this.tasks.filter(task => getEpicId(task) === epic.id));
+    const progress = getEpicProgress(tasks, status => this.isDoneStatus(status));
+    const percent = totals => {
+      if (totals.points > 0) return Math.round((totals.donePoints / totals.points) * 100);
+      return totals.total > 0 ? Math.round((totals.done / totals.total) * 100) : 0;
+    };
+    const bar = totals => `
+      <div class="epic-progress-bar">
+        <div class="epic-progress-fill" style="width: ${percent(totals)}%; background: ${color}"></div>
+      </div>
+    `;
+
+    // Sprints in schedule order, the backlog last
+    const sprintRows = [...progress.bySprint.entries()]
+      .map(([sprintId, totals]) => ({ sprint: this.sprints.find(s => s.id === sprintId) || null, sprintId, totals }))
+      .sort((a, b) => {
+        if (!a.sprint || !b.sprint) return !a.sprint - !b.sprint;
+        return String(a.sprint.startDate).localeCompare(String(b.sprint.startDate)) || a.sprint.id - b.sprint.id;
+      })
+      .map(({ sprint, sprintId, totals }) => `
+        <div class="epic-sprint-row">
+          <span class="epic-sprint-name">${sprint ? this.escapeHtml(sprint.name) : sprintId ? `Sprint ${sprintId}` : 'Backlog'}</span>
+          ${bar(totals)}
+          <span class="epic-sprint-totals">${totals.donePoints}/${totals.points} pts · ${totals.done}/${totals.total} tasks</span>
+        </div>
+      `).join('');
+
+    document.getElementById('epicProgress').innerHTML = `
+      <div class="epic-progress-summary">
+        ${bar(progress)}
+        <span class="epic-progress-text">
+          ${percent(progress)}% · ${progress.donePoints}/${progress.points} points · ${progress.done}/${progress.total} tasks done
+        </span>
+      </div>
+      ${sprintRows ? `<div class="epic-sprints">${sprintRows}</div>` : ''}
+    `;
+
+    const list = document.getElementById('epicTaskList');
+    if (tasks.length === 0) {
+      list.innerHTML = `
+        <div class="backlog-empty">
+          <div class="backlog-empty-icon">🧭</div>
+          <p>No tasks in this epic yet</p>
+        </div>
+      `;
+      return;
+    }
+
+    list.innerHTML = tasks.map(task => this.taskCard.render(task)).join('');
+    this.taskCard.bindEvents(list);
+    this.taskCard.setupDragAndDrop(list);
+  }
+
+  /**
+   * Delete an epic, offering to clear it from its tasks
+   * @param {Object} epic - Epic to delete
+   */
+  async deleteEpic(epic) {
+    if (!confirm(`Delete the epic "${epic.name}"?`)) return;
+    await epicService.deleteEpic(epic);
+
+    const tasks = this.tasks.filter(task => getEpicId(task) === epic.id);
+    if (tasks.length > 0 && confirm(`${tasks.length} ${tasks.length === 1 ? 'task belongs' : 'tasks belong'} to this epic. Remove it from them?`)) {
+      try {
+        for (const task of tasks) {
+          await taskService.saveChanges(task, { epic: null });
+        }
+      } catch (err) {
+        if (!(err instanceof SaveCancelledError)) throw err;
+      }
+    }
+
+    if (this.currentEpicId === epic.id) this.showBacklog();
+    this.refresh();
+  }
+
+  // ============================================
+  // Saved Views
+  // ============================================
+
+  renderViewList() {
+    const container = document.getElementById('viewList');
+
+    if (this.views.length === 0) {
+      container.innerHTML = '<div class="nav-label" style="opacity: 0.5;">No saved views</div>';
+      return;
+    }
+
+    container.innerHTML = this.views.map(view => `
+      <button class="view-nav-item ${this.currentSavedViewId === view.id ? 'active' : ''}"
+              data-view-id="${this.escapeAttr(view.id)}" title="${this.escapeAttr(view.query)}">
+        <span class="nav-icon">${view.layout === 'board' ? '🗂' : '🔖'}</span>
+        ${this.escapeHtml(view.name)}
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.view-nav-item').forEach(btn => {
+      btn.addEventListener('click', () => this.showSavedView(btn.dataset.viewId));
+    });
+  }
+
+  /**
+   * Render the tasks matching the current saved view as a list or a board
+   */
+  async renderSavedView() {
+    const view = this.views.find(v => v.id === this.currentSavedViewId);
+    if (!view) return;
+
+    document.getElementById('savedViewTitle').textContent = view.name;
+    document.getElementById('savedViewQuery').textContent = view.query || 'All tasks';
+
+    const list = document.getElementById('savedViewList');
+    const board = document.getElementById('savedViewBoard');
+    const error = document.getElementById('savedViewError');
+    list.style.display = view.layout === 'list' ? '' : 'none';
+    board.style.display = view.layout === 'board' ? '' : 'none';
+
+    // The query may have been edited by hand in project.md
+    let root;
+    try {
+      root = parseQuery(view.query, this.fields);
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      error.textContent = `This view's filter is invalid: ${err.message}. Edit the view to fix it.`;
+      error.style.display = '';
+      list.innerHTML = '';
+      board.innerHTML = '';
+      return;
+    }
+    error.style.display = 'none';
+
+    await searchIndex.whenReady();
+    if (this.currentSavedViewId !== view.id) return;
+
+    const context = createQueryContext(this.getProjectData(), this.search.createTextMatcher(searchIndex));
+    const tasks = sortByRank(this.tasks.filter(task => evaluateQuery(root, task, context) !== null));
+
+    if (view.layout === 'board') {
+      board.innerHTML = this.buildColumns(tasks).map(column => this.renderColumn(column.status, column.tasks)).join('');
+      this.bindColumns(board);
+      return;
+    }
+
+    if (tasks.length === 0) {
+      list.innerHTML = `
+        <div class="backlog-empty">
+          <div class="backlog-empty-icon">🔖</div>
+          <p>No tasks match this view</p>
+        </div>
+      `;
+      return;
+    }
+
+    list.innerHTML = tasks.map(task => this.taskCard.render(task)).join('');
+    this.taskCard.bindEvents(list);
+    this.taskCard.setupDragAndDrop(list);
+  }
+
+  /**
+   * Create or update a saved view in project.md and open it
+   * @param {Object} view - { id?, name, query, layout }
+   */
+  async saveView(view) {
+    let saved;
+    await this.updateProjectConfig(stored => {
+      // Start from the views on disk so views saved by others are kept
+      const views = normalizeViews(stored.views);
+      saved = view.id ? view : { ...view, id: createViewId(view.name, views) };
+      this.views = views.some(v => v.id === saved.id)
+        ? views.map(v => (v.id === saved.id ? saved : v))
+        : [...views, saved];
+      return { views: this.views.map(serializeView) };
+    });
+
+    this.renderViewList();
+    this.showSavedView(saved.id);
+  }
+
+  /**
+   * Remove a saved view from project.md
+   * @param {string} id - View id
+   */
+  async deleteView(id) {
+    await this.updateProjectConfig(stored => {
+      this.views = normalizeViews(stored.views).filter(v => v.id !== id);
+      return { views: this.views.length > 0 ? this.views.map(serializeView) : undefined };
+    });
+
+    this.renderViewList();
+    if (this.currentSavedViewId === id) this.showBacklog();
+  }
+
   // ============================================
   // Backlog View
   // ============================================
 
   renderBacklog() {
     const container = document.getElementById('backlogList');
-    const backlogTasks = this.tasks.filter(t => t.sprint === null);
+    const backlogTasks = sortByRank(this.tasks.filter(t => t.sprint === null));
+    this.renderLabelFilter('backlogLabelFilter', backlogTasks);
+    const visibleTasks = backlogTasks.filter(t => this.matchesLabelFilter(t));
 
     if (backlogTasks.length === 0) {
       container.innerHTML = `
@@ -262,7 +909,16 @@ class App {
       return;
     }
 
-    container.innerHTML = backlogTasks.map(task => this.taskCard.render(task)).join('');
+    if (visibleTasks.length === 0) {
+      container.innerHTML = `
+        <div class="backlog-empty">
+          <p>No backlog tasks match the selected labels</p>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = visibleTasks.map(task => this.taskCard.render(task)).join('');
     this.taskCard.bindEvents(container);
     this.taskCard.setupDragAndDrop(container);
   }
@@ -295,58 +951,424 @@ class App {
       startBtn.style.display = 'none';
     }
 
-    // Render columns
     const sprintTasks = this.tasks.filter(t => t.sprint === this.currentSprintId);
-    const tasksByStatus = {
-      'todo': sprintTasks.filter(t => t.status === 'todo'),
-      'in-progress': sprintTasks.filter(t => t.status === 'in-progress'),
-      'done': sprintTasks.filter(t => t.status === 'done')
-    };
+    this.renderAssigneeFilter(sprintTasks);
+    this.renderLabelFilter('sprintLabelFilter', sprintTasks);
+    const visibleTasks = sprintTasks.filter(t => this.matchesAssigneeFilter(t) && this.matchesLabelFilter(t));
+
+    this.sprintReport.render(sprint);
+
+    // Render columns from the project's workflow
+    const columns = this.buildColumns(visibleTasks);
+    const totals = new Map(columns.map(column => [column.status, column.tasks.length]));
+    const board = document.getElementById('kanbanBoard');
+    board.classList.toggle('swimlanes', this.swimlanes);
+
+    if (!this.swimlanes) {
+      board.innerHTML = columns.map(column => this.renderColumn(column.status, column.tasks)).join('');
+      this.bindColumns(board);
+      return;
+    }
 
-    // Update counts
-    document.getElementById('todoCount').textContent = tasksByStatus['todo'].length;
-    document.getElementById('inProgressCount').textContent = tasksByStatus['in-progress'].length;
-    document.getElementById('doneCount').textContent = tasksByStatus['done'].length;
-
-    // Render tasks
-    ['todo', 'in-progress', 'done'].forEach(status => {
-      const columnId = status === 'todo' ? 'todoTasks' : 
-                       status === 'in-progress' ? 'inProgressTasks' : 'doneTasks';
-      const container = document.getElementById(columnId);
-      
-      if (tasksByStatus[status].length === 0) {
-        container.innerHTML = '<div class="backlog-empty" style="padding: 24px;"><p style="font-size: 12px; color: var(--color-text-muted);">Drop tasks here</p></div>';
-      } else {
-        container.innerHTML = tasksByStatus[status].map(task => this.taskCard.render(task)).join('');
-        this.taskCard.bindEvents(container);
+    const lanes = this.groupByAssignee(visibleTasks);
+    board.innerHTML = lanes.map(lane => `
+      <div class="swimlane">
+        <div class="swimlane-header">
+          ${this.renderAvatar(lane.member)}
+          <span>${lane.member ? this.escapeHtml(lane.member.name) : 'Unassigned'}</span>
+          <span class="column-count">${lane.tasks.length}</span>
+        </div>
+        <div class="swimlane-columns">
+          ${columns.map(column => this.renderColumn(
+            column.status,
+            lane.tasks.filter(t => column.tasks.includes(t)),
+            totals.get(column.status)
+          )).join('')}
+        </div>
+      </div>
+    `).join('');
+
+    board.querySelectorAll('.swimlane').forEach((element, i) => {
+      this.bindColumns(element, lanes[i].member ? lanes[i].member.handle : null);
+    });
+  }
+
+  /**
+   * Split tasks into workflow columns
+   * @param {Object[]} tasks - Tasks on the board
+   * @returns {Object[]} Array of { status, tasks }, status null for the unknown-status column
+   */
+  buildColumns(tasks) {
+    const ranked = sortByRank(tasks);
+    const columns = this.statuses.map(status => ({
+      status,
+      tasks: ranked.filter(t => t.status === status.id)
+    }));
+
+    // Tasks with a status the workflow doesn't know about
+    const unknownTasks = ranked.filter(t => !this.getStatus(t.status));
+    if (unknownTasks.length > 0) {
+      columns.push({ status: null, tasks: unknownTasks });
+    }
+
+    return columns;
+  }
+
+  /**
+   * Bind card events and drop targets for the columns in a container
+   * @param {Element} container - Board or swimlane
+   * @param {string|null} assignee - Lane's assignee, dropping a card assigns it; undefined outside swimlanes
+   */
+  bindColumns(container, assignee = undefined) {
+    container.querySelectorAll('.kanban-column').forEach(column => {
+      const tasks = column.querySelector('.column-tasks');
+      this.taskCard.bindEvents(tasks);
+      this.taskCard.setupDragAndDrop(tasks);
+      if (!column.classList.contains('unknown-status')) {
+        this.taskCard.setupColumnDragAndDrop(tasks, column.dataset.status, assignee);
       }
-      
-      this.taskCard.setupColumnDragAndDrop(container, status);
     });
   }
 
+  /**
+   * Render a kanban column
+   * @param {Object|null} status - Workflow status, or null for the unknown-status column
+   * @param {Object[]} tasks - Tasks in the column
+   * @param {number} columnTotal - Tasks in the whole column, when split into swimlanes
+   */
+  renderColumn(status, tasks, columnTotal = tasks.length) {
+    const overLimit = status?.wipLimit && columnTotal > status.wipLimit;
+    const classes = ['kanban-column'];
+    if (!status) classes.push('unknown-status');
+    if (overLimit) classes.push('over-limit');
+
+    const count = status?.wipLimit ? `${columnTotal} / ${status.wipLimit}` : tasks.length;
+    const style = status?.color ? `style="--column-color: ${status.color}"` : '';
+    const emptyText = status ? 'Drop tasks here' : 'No tasks';
+
+    return `
+      <div class="${classes.join(' ')}" data-status="${status ? this.escapeHtml(status.id) : ''}" ${style}>
+        <div class="column-header">
+          <span class="column-title">${status ? this.escapeHtml(status.name) : 'Unknown status'}</span>
+          <span class="column-count" ${status?.wipLimit ? `title="WIP limit: ${status.wipLimit}"` : ''}>${count}</span>
+        </div>
+        <div class="column-tasks">
+          ${tasks.length === 0
+            ? `<div class="backlog-empty" style="padding: 24px;"><p style="font-size: 12px; color: var(--color-text-muted);">${emptyText}</p></div>`
+            : tasks.map(task => this.taskCard.render(task)).join('')}
+        </div>
+      </div>
+    `;
+  }
+
   async startCurrentSprint() {
     const sprint = this.sprints.find(s => s.id === this.currentSprintId);
     if (!sprint) return;
 
     if (sprint.status === 'planning') {
-      await sprintService.startSprint(sprint);
+      // Only one sprint can be active, so the current one is completed first
+      const active = this.sprints.find(s => s.status === 'active' && s.id !== sprint.id);
+      if (active && !(await this.modals.showSprintCompletion(active, sprint))) return;
+      try {
+        await sprintService.startSprint(sprint);
+      } catch (err) {
+        if (!(err instanceof SaveCancelledError)) throw err;
+      }
     } else if (sprint.status === 'active') {
-      await sprintService.completeSprint(sprint);
+      if (!(await this.modals.showSprintCompletion(sprint))) return;
     }
 
-    await this.loadAllData();
+    this.refresh();
+  }
+
+  // ============================================
+  // Assignees
+  // ============================================
+
+  /**
+   * Member a task is assigned to
+   * @param {Object} task - Task
+   * @returns {Object|null} Member, an `unknown` placeholder for names not in project.md, or null
+   */
+  getAssignee(task) {
+    return resolveAssignee(this.members, task.assignee);
+  }
+
+  /**
+   * Render a member's initials avatar
+   * @param {Object|null} member - Member from getAssignee
+   * @returns {string} HTML
+   */
+  renderAvatar(member) {
+    if (!member) return '<span class="avatar unassigned" title="Unassigned">?</span>';
+
+    const title = member.unknown ? `${member.name} (not in project.md)` : member.name;
+    return `<span class="avatar ${member.unknown ? 'unknown' : ''}" style="background: ${member.color}" title="${this.escapeAttr(title)}">${this.escapeHtml(getInitials(member.name))}</span>`;
+  }
+
+  /**
+   * Group tasks into swimlanes: every member, then unknown assignees, then unassigned
+   * @param {Object[]} tasks - Tasks on the board
+   * @returns {Object[]} Array of { member, tasks }
+   */
+  groupByAssignee(tasks) {
+    const lanes = this.members.map(member => ({ member, tasks: [] }));
+    const unassigned = { member: null, tasks: [] };
+
+    for (const task of tasks) {
+      const member = this.getAssignee(task);
+      if (!member) {
+        unassigned.tasks.push(task);
+        continue;
+      }
+
+      let lane = lanes.find(l => l.member.handle === member.handle);
+      if (!lane) {
+        lane = { member, tasks: [] };
+        lanes.push(lane);
+      }
+      lane.tasks.push(task);
+    }
+
+    return [...lanes, unassigned];
+  }
+
+  /**
+   * Check a task against the board's assignee filter
+   * @param {Object} task - Task
+   * @returns {boolean}
+   */
+  matchesAssigneeFilter(task) {
+    if (this.assigneeFilter === null) return true;
+    const member = this.getAssignee(task);
+    return this.assigneeFilter === '' ? !member : member?.handle === this.assigneeFilter;
+  }
+
+  /**
+   * Render the filter-by-assignee chips above the board
+   * @param {Object[]} sprintTasks - Tasks in the sprint
+   */
+  renderAssigneeFilter(sprintTasks) {
+    const people = this.groupByAssignee(sprintTasks)
+      .filter(lane => lane.member)
+      .map(lane => lane.member);
+
+    const chip = (value, label, avatar = '') => `
+      <button class="assignee-chip ${this.assigneeFilter === value ? 'active' : ''}" data-value="${value === null ? '' : this.escapeAttr(value)}" ${value === null ? 'data-all' : ''}>
+        ${avatar}${label}
+      </button>
+    `;
+
+    const container = document.getElementById('assigneeFilter');
+    container.innerHTML = [
+      chip(null, 'All'),
+      ...people.map(member => chip(member.handle, this.escapeHtml(member.name), this.renderAvatar(member))),
+      chip('', 'Unassigned')
+    ].join('');
+
+    container.querySelectorAll('.assignee-chip').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.assigneeFilter = 'all' in btn.dataset ? null : btn.dataset.value;
+        this.renderSprintBoard();
+      });
+    });
+  }
+
+  // ============================================
+  // Labels & Selection
+  // ============================================
+
+  /**
+   * Label names to suggest: the catalogue first, then labels only used in tasks
+   * @returns {string[]}
+   */
+  getLabelNames() {
+    const names = this.labels.map(label => label.name);
+    const known = new Set(names.map(name => name.toLowerCase()));
+    const used = new Set();
+
+    for (const task of this.tasks) {
+      for (const name of task.labels || []) {
+        if (!known.has(name.toLowerCase())) used.add(name);
+      }
+    }
+
+    return [...names, ...[...used].sort((a, b) => a.localeCompare(b))];
+  }
+
+  /**
+   * Fill the shared datalist that label inputs autocomplete from
+   */
+  renderLabelOptions() {
+    document.getElementById('labelOptions').innerHTML = this.getLabelNames()
+      .map(name => `<option value="${this.escapeAttr(name)}"></option>`)
+      .join('');
+  }
+
+  /**
+   * Render a label chip
+   * @param {string} name - Label name
+   * @returns {string} HTML
+   */
+  renderLabel(name) {
+    const label = resolveLabel(this.labels, name);
+    return `<span class="label-chip" style="--label-color: ${label.color}">${this.escapeHtml(label.name)}</span>`;
+  }
+
+  /**
+   * Check a task against the label filter, matching any selected label
+   * @param {Object} task - Task
+   * @returns {boolean}
+   */
+  matchesLabelFilter(task) {
+    return this.labelFilter.length === 0 || this.labelFilter.some(name => hasLabel(task, name));
+  }
+
+  /**
+   * Render toggleable label chips for the labels used by some tasks
+   * @param {string} containerId - Element to render into
+   * @param {Object[]} tasks - Tasks in the view
+   */
+  renderLabelFilter(containerId, tasks) {
+    const container = document.getElementById(containerId);
+    const names = this.getLabelNames().filter(name =>
+      this.labelFilter.includes(name) || tasks.some(task => hasLabel(task, name))
+    );
+
+    if (names.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = names.map(name => `
+      <button class="label-filter-chip ${this.labelFilter.includes(name) ? 'active' : ''}" data-label="${this.escapeAttr(name)}">
+        ${this.renderLabel(name)}
+      </button>
+    `).join('');
+
+    container.querySelectorAll('.label-filter-chip').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const name = btn.dataset.label;
+        this.labelFilter = this.labelFilter.includes(name)
+          ? this.labelFilter.filter(n => n !== name)
+          : [...this.labelFilter, name];
+        this.renderCurrentView();
+      });
+    });
+  }
+
+  /**
+   * Add a task to the selection used by bulk actions, or remove it
+   * @param {number} id - Task ID
+   */
+  toggleTaskSelection(id) {
+    if (this.selectedTaskIds.has(id)) {
+      this.selectedTaskIds.delete(id);
+    } else {
+      this.selectedTaskIds.add(id);
+    }
+
+    document.querySelectorAll(`.task-card[data-task-id="${id}"]`).forEach(card => {
+      card.classList.toggle('selected', this.selectedTaskIds.has(id));
+    });
+    this.bulkActions.render();
+  }
+
+  clearSelection() {
+    this.selectedTaskIds.clear();
+    document.querySelectorAll('.task-card.selected').forEach(card => card.classList.remove('selected'));
+    this.bulkActions.render();
+  }
+
+  /**
+   * Selected tasks that still exist
+   * @returns {Object[]}
+   */
+  getSelectedTasks() {
+    return this.tasks.filter(task => this.selectedTaskIds.has(task.id));
+  }
+
+  /**
+   * Tasks moved by the current drag: the whole selection when a selected
+   * card is dragged, otherwise just that card's task
+   * @returns {Object[]}
+   */
+  getDraggedTasks() {
+    if (!this.draggedTask) return [];
+    if (!this.selectedTaskIds.has(this.draggedTask.id)) return [this.draggedTask];
+    return sortByRank(this.getSelectedTasks());
+  }
+
+  // ============================================
+  // Subtasks
+  // ============================================
+
+  /**
+   * Subtasks of a task, from an index rebuilt whenever the task list is replaced
+   * @param {Object} task - Parent task
+   * @returns {Object[]}
+   */
+  getSubtasks(task) {
+    if (this.subtaskIndex?.tasks !== this.tasks) {
+      const byParent = new Map();
+      for (const child of this.tasks) {
+        const parentId = getParentId(child);
+        if (parentId === null) continue;
+        if (!byParent.has(parentId)) byParent.set(parentId, []);
+        byParent.get(parentId).push(child);
+      }
+      this.subtaskIndex = { tasks: this.tasks, byParent };
+    }
+    return this.subtaskIndex.byParent.get(task.id) || [];
   }
 
   // ============================================
   // Utilities
   // ============================================
 
+  /**
+   * Look up a workflow status by id
+   * @param {string} id - Status id
+   * @returns {Object|null}
+   */
+  getStatus(id) {
+    return this.statuses.find(s => s.id === id) || null;
+  }
+
+  /**
+   * Check whether a status belongs to the "done" category
+   * @param {string} id - Status id
+   * @returns {boolean}
+   */
+  isDoneStatus(id) {
+    return this.getStatus(id)?.done || false;
+  }
+
+  /**
+   * Show a short, non-blocking message in the corner of the screen
+   * @param {string} message - Text to show
+   */
+  showNotice(message) {
+    const notice = document.getElementById('notice');
+    notice.textContent = message;
+    notice.classList.add('active');
+
+    clearTimeout(this.noticeTimer);
+    this.noticeTimer = setTimeout(() => notice.classList.remove('active'), 4000);
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
   }
+
+  /**
+   * Escape text for a quoted HTML attribute, which escapeHtml doesn't cover
+   */
+  escapeAttr(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
 }
 
 // Initialize app
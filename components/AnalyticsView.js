@@ -0,0 +1,156 @@
+/**
+ * AnalyticsView - Velocity and completion across completed sprints
+ */
+
+import { buildVelocityReport, VELOCITY_WINDOW } from '../services/sprintMetrics.js';
+
+const CHART_HEIGHT = 220;
+const BAR_GROUP_WIDTH = 56;
+const PADDING = { top: 36, right: 16, bottom: 28, left: 36 };
+
+// Written into the SVG, so they can't come from CSS variables
+const COLORS = {
+  background: '#1e293b',
+  grid: 'rgba(148, 163, 184, 0.15)',
+  text: '#94a3b8',
+  title: '#f8fafc',
+  committed: '#475569',
+  completed: '#22c55e',
+  average: '#f59e0b'
+};
+
+export class AnalyticsView {
+  constructor(app) {
+    this.app = app;
+  }
+
+  render() {
+    const container = document.getElementById('analyticsContent');
+    const report = buildVelocityReport(this.app.sprints, this.app.tasks, id => this.app.isDoneStatus(id));
+
+    if (report.rows.length === 0) {
+      container.innerHTML = `
+        <div class="backlog-empty">
+          <div class="backlog-empty-icon">📊</div>
+          <p>No completed sprints yet</p>
+          <p style="font-size: 12px; margin-top: 8px;">Velocity appears here once a sprint is completed</p>
+        </div>
+      `;
+      return;
+    }
+
+    const totalCarryOver = report.rows.reduce((sum, row) => sum + row.carryOver, 0);
+
+    container.innerHTML = `
+      <div class="analytics-stats">
+        ${this.renderStat('Average velocity', formatPoints(report.averageVelocity), `Last ${VELOCITY_WINDOW} completed sprints`)}
+        ${this.renderStat('Completion ratio', formatRatio(report.averageRatio), 'Completed / committed points')}
+        ${this.renderStat('Carried over', totalCarryOver, 'Unfinished tasks at sprint end')}
+      </div>
+      <div class="analytics-chart">${this.renderChart(report.rows)}</div>
+      <table class="analytics-table">
+        <thead>
+          <tr>
+            <th>Sprint</th>
+            <th>Dates</th>
+            <th>Committed</th>
+            <th>Completed</th>
+            <th>Completion</th>
+            <th>Carry-over</th>
+            <th>Rolling avg</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${[...report.rows].reverse().map(row => `
+            <tr>
+              <td>${this.app.escapeHtml(row.sprint.name)}</td>
+              <td class="analytics-muted">${this.app.escapeHtml(`${row.sprint.startDate} → ${row.sprint.endDate}`)}</td>
+              <td>${row.committed}</td>
+              <td>${row.completed}</td>
+              <td>${formatRatio(row.ratio)}</td>
+              <td>${row.carryOver}</td>
+              <td>${formatPoints(row.rollingAverage)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderStat(label, value, hint) {
+    return `
+      <div class="analytics-stat">
+        <div class="analytics-stat-label">${label}</div>
+        <div class="analytics-stat-value">${value}</div>
+        <div class="analytics-muted">${hint}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Committed vs. completed bars per sprint with the rolling average as a line
+   * @param {Object[]} rows - Rows from buildVelocityReport
+   * @returns {string} SVG markup
+   */
+  renderChart(rows) {
+    const width = PADDING.left + PADDING.right + rows.length * BAR_GROUP_WIDTH;
+    const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const maxValue = Math.max(1, ...rows.flatMap(row => [row.committed, row.completed]));
+    const y = value => PADDING.top + plotHeight - (plotHeight * value) / maxValue;
+    const groupX = i => PADDING.left + i * BAR_GROUP_WIDTH;
+
+    const grid = [0, 0.5, 1].map(fraction => {
+      const value = Math.round(maxValue * fraction);
+      return `
+        <line x1="${PADDING.left}" x2="${width - PADDING.right}" y1="${y(value)}" y2="${y(value)}" stroke="${COLORS.grid}" />
+        <text x="${PADDING.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>
+      `;
+    }).join('');
+
+    const bars = rows.map((row, i) => {
+      const x = groupX(i) + 8;
+      return `
+        <rect x="${x}" y="${y(row.committed)}" width="18" height="${y(0) - y(row.committed)}" rx="2" fill="${COLORS.committed}">
+          <title>${this.app.escapeHtml(row.sprint.name)}: ${row.committed} committed</title>
+        </rect>
+        <rect x="${x + 20}" y="${y(row.completed)}" width="18" height="${y(0) - y(row.completed)}" rx="2" fill="${COLORS.completed}">
+          <title>${this.app.escapeHtml(row.sprint.name)}: ${row.completed} completed</title>
+        </rect>
+        <text x="${x + 19}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${this.app.escapeHtml(truncate(row.sprint.name, 8))}</text>
+      `;
+    }).join('');
+
+    const average = rows
+      .map((row, i) => `${groupX(i) + BAR_GROUP_WIDTH / 2},${y(row.rollingAverage)}`)
+      .join(' ');
+
+    return `
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${CHART_HEIGHT}" width="${width}" height="${CHART_HEIGHT}"
+           font-family="Inter, sans-serif" font-size="11" fill="${COLORS.text}">
+        <rect width="100%" height="100%" rx="10" fill="${COLORS.background}" />
+        <text x="${PADDING.left}" y="21" font-size="13" font-weight="600" fill="${COLORS.title}">Velocity</text>
+        ${grid}
+        ${bars}
+        <polyline points="${average}" fill="none" stroke="${COLORS.average}" stroke-width="2" stroke-dasharray="5 4" />
+      </svg>
+      <div class="analytics-legend">
+        <span><i style="background: ${COLORS.committed}"></i>Committed</span>
+        <span><i style="background: ${COLORS.completed}"></i>Completed</span>
+        <span><i style="background: ${COLORS.average}"></i>Rolling average</span>
+      </div>
+    `;
+  }
+}
+
+function formatPoints(value) {
+  if (value === null || value === undefined) return '—';
+  return String(Math.round(value * 10) / 10);
+}
+
+function formatRatio(ratio) {
+  return ratio === null ? '—' : `${Math.round(ratio * 100)}%`;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
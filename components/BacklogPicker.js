@@ -3,11 +3,15 @@
  */
 
 import taskService from '../services/taskService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+import { buildVelocityReport } from '../services/sprintMetrics.js';
+import { sortByRank } from '../services/ranking.js';
 
 export class BacklogPicker {
   constructor(app) {
     this.app = app;
     this.selectedTasks = new Set();
+    this.forecast = null;
   }
 
   init() {
@@ -19,9 +23,10 @@ export class BacklogPicker {
   show() {
     const modal = document.getElementById('backlogPickerModal');
     const container = document.getElementById('backlogPicker');
-    const backlogTasks = this.app.tasks.filter(t => t.sprint === null);
+    const backlogTasks = sortByRank(this.app.tasks.filter(t => t.sprint === null));
 
     this.selectedTasks.clear();
+    this.forecast = buildVelocityReport(this.app.sprints, this.app.tasks, id => this.app.isDoneStatus(id)).averageVelocity;
 
     if (backlogTasks.length === 0) {
       container.innerHTML = '<div class="backlog-picker-empty">No tasks in backlog</div>';
@@ -49,26 +54,50 @@ export class BacklogPicker {
           } else {
             this.selectedTasks.delete(id);
           }
+          this.renderSummary();
         });
       });
     }
 
+    this.renderSummary();
     modal.classList.add('active');
   }
 
+  /**
+   * Show the sprint's points with the selection next to the forecast capacity
+   */
+  renderSummary() {
+    const points = tasks => tasks.reduce((sum, task) => sum + (task.storyPoints || 0), 0);
+    const inSprint = points(this.app.tasks.filter(t => t.sprint === this.app.currentSprintId));
+    const selected = points(this.app.tasks.filter(t => this.selectedTasks.has(t.id)));
+    const total = inSprint + selected;
+
+    const summary = document.getElementById('backlogPickerSummary');
+    let text = `Selected: ${selected} pts · Sprint total: ${total} pts`;
+    if (this.forecast !== null) {
+      text += ` · Forecast capacity: ${Math.round(this.forecast)} pts`;
+    }
+    summary.textContent = text;
+    summary.classList.toggle('over-capacity', this.forecast !== null && total > this.forecast);
+  }
+
   hide() {
     document.getElementById('backlogPickerModal').classList.remove('active');
   }
 
   async addSelectedToSprint() {
-    for (const taskId of this.selectedTasks) {
-      const task = this.app.tasks.find(t => t.id === taskId);
-      if (task) {
-        await taskService.moveToSprint(task, this.app.currentSprintId);
+    try {
+      for (const taskId of this.selectedTasks) {
+        const task = this.app.tasks.find(t => t.id === taskId);
+        if (task) {
+          await taskService.moveToSprint(task, this.app.currentSprintId);
+        }
       }
+    } catch (err) {
+      if (!(err instanceof SaveCancelledError)) throw err;
     }
 
     this.hide();
-    await this.app.loadAllData();
+    this.app.refresh();
   }
 }
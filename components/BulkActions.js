@@ -0,0 +1,70 @@
+/**
+ * BulkActions - Bar for changing several selected tasks at once
+ *
+ * Tasks are selected with Ctrl/Cmd+click on their cards.
+ */
+
+import taskService from '../services/taskService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+import { normalizeTaskLabels, hasLabel } from '../services/labels.js';
+
+export class BulkActions {
+  constructor(app) {
+    this.app = app;
+  }
+
+  init() {
+    document.getElementById('bulkAddLabelBtn').addEventListener('click', () => this.applyLabel(true));
+    document.getElementById('bulkRemoveLabelBtn').addEventListener('click', () => this.applyLabel(false));
+    document.getElementById('clearSelectionBtn').addEventListener('click', () => this.app.clearSelection());
+
+    document.getElementById('bulkLabelInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.applyLabel(true);
+      }
+    });
+  }
+
+  /**
+   * Show the bar while tasks are selected
+   */
+  render() {
+    const count = this.app.getSelectedTasks().length;
+    document.getElementById('bulkBar').classList.toggle('active', count > 0);
+    document.getElementById('bulkCount').textContent = `${count} selected`;
+  }
+
+  /**
+   * Add the typed label to every selected task, or remove it
+   * @param {boolean} add - Add the label rather than remove it
+   */
+  async applyLabel(add) {
+    const input = document.getElementById('bulkLabelInput');
+    const [name] = normalizeTaskLabels(input.value);
+    if (!name) {
+      input.focus();
+      return;
+    }
+
+    // Only tasks that actually change are rewritten
+    const tasks = this.app.getSelectedTasks().filter(task => hasLabel(task, name) !== add);
+    try {
+      for (const task of tasks) {
+        const labels = add
+          ? [...(task.labels || []), name]
+          : task.labels.filter(label => label.toLowerCase() !== name.toLowerCase());
+        await taskService.saveChanges(task, { labels });
+      }
+    } catch (err) {
+      if (!(err instanceof SaveCancelledError)) throw err;
+      this.app.refresh();
+      return;
+    }
+
+    input.value = '';
+    const verb = add ? 'Added' : 'Removed';
+    this.app.showNotice(`${verb} "${name}" ${add ? 'to' : 'from'} ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}`);
+    this.app.refresh();
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * ConflictDialog - Resolves saves that clash with changes made on disk
+ */
+
+import { TASKS_DIR } from '../services/taskService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+
+// Bookkeeping fields that are never offered for merging. History is rebuilt
+// from the version on disk when the resolved item is written.
+const IGNORED_FIELDS = new Set(['filename', 'body', 'fileState', 'updatedAt', 'history']);
+
+// Above this many line pairs the diff falls back to "all removed, all added"
+const MAX_DIFF_CELLS = 1000000;
+
+export class ConflictDialog {
+  constructor(app) {
+    this.app = app;
+    this.conflict = null;
+    this.fields = [];
+    this.pending = null;
+  }
+
+  init() {
+    document.getElementById('closeConflictModal').addEventListener('click', () => this.cancel());
+    document.getElementById('cancelConflictBtn').addEventListener('click', () => this.cancel());
+    document.getElementById('takeTheirsBtn').addEventListener('click', () => this.finish(this.conflict.theirs));
+    document.getElementById('keepMineBtn').addEventListener('click', () => this.finish(this.rebase({ ...this.conflict.mine })));
+    document.getElementById('mergeConflictBtn').addEventListener('click', () => this.finish(this.rebase(this.buildMerge())));
+  }
+
+  /**
+   * Ask how to resolve a conflict
+   * @param {Object} conflict - { subdir, mine, theirs, base, deleted }
+   * @returns {Promise<Object|null>} Item to write, or the conflict's `theirs` to keep the file on disk.
+   *   Rejects with SaveCancelledError when cancelled.
+   */
+  show(conflict) {
+    if (this.pending) this.cancel();
+
+    this.conflict = conflict;
+    const { subdir, mine, theirs, deleted } = conflict;
+    const label = subdir === TASKS_DIR ? `Task #${mine.id}` : `Sprint "${mine.name}"`;
+
+    document.getElementById('conflictModalTitle').textContent = `${label} changed on disk`;
+    document.getElementById('mergeConflictBtn').style.display = theirs ? '' : 'none';
+    document.getElementById('takeTheirsBtn').textContent = theirs ? 'Take theirs' : 'Discard mine';
+
+    const body = document.getElementById('conflictBody');
+    if (deleted) {
+      body.innerHTML = `<p class="modal-intro">The file was deleted on disk after it was loaded. Keep your version to recreate it, or discard your changes.</p>`;
+    } else if (!theirs) {
+      body.innerHTML = `<p class="modal-intro">The file on disk changed and can no longer be read. Keep your version to overwrite it, or cancel and fix the file.</p>`;
+    } else {
+      this.fields = this.collectFields(conflict);
+      body.innerHTML = this.renderFields();
+      this.bindFieldEvents(body);
+    }
+
+    document.getElementById('conflictModal').classList.add('active');
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+  }
+
+  finish(result) {
+    this.settle(pending => pending.resolve(result));
+  }
+
+  /**
+   * Write nothing and keep the unsaved edits, so the user can carry on editing
+   */
+  cancel() {
+    const filename = this.conflict.mine.filename;
+    this.settle(pending => pending.reject(new SaveCancelledError(filename)));
+  }
+
+  settle(callback) {
+    document.getElementById('conflictModal').classList.remove('active');
+    const pending = this.pending;
+    this.pending = null;
+    this.conflict = null;
+    if (pending) callback(pending);
+  }
+
+  /**
+   * List fields whose values differ between my version and the one on disk.
+   * Fields only one side changed default to that side.
+   */
+  collectFields({ mine, theirs, base }) {
+    const keys = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+    const fields = [];
+
+    for (const key of [...keys].filter(k => !IGNORED_FIELDS.has(k)).concat('body')) {
+      if (isEqual(mine[key], theirs[key])) continue;
+
+      const mineChanged = !isEqual(mine[key], base[key]);
+      const theirsChanged = !isEqual(theirs[key], base[key]);
+      fields.push({
+        key,
+        choice: mineChanged ? 'mine' : 'theirs',
+        conflicting: mineChanged && theirsChanged
+      });
+    }
+
+    return fields;
+  }
+
+  renderFields() {
+    const { mine, theirs } = this.conflict;
+
+    if (this.fields.length === 0) {
+      return '<p class="modal-intro">The file on disk changed, but it matches your version.</p>';
+    }
+
+    const rows = this.fields.map((field, i) => {
+      if (field.key === 'body') {
+        return `
+          <div class="conflict-field ${field.conflicting ? 'conflicting' : ''}">
+            <div class="conflict-field-name">Description</div>
+            ${this.renderChoice(i, 'mine', 'Mine', field.choice)}
+            ${this.renderChoice(i, 'theirs', 'Theirs', field.choice)}
+          </div>
+          <pre class="conflict-diff">${this.renderDiff(theirs.body || '', mine.body || '')}</pre>
+        `;
+      }
+
+      return `
+        <div class="conflict-field ${field.conflicting ? 'conflicting' : ''}">
+          <div class="conflict-field-name">${this.app.escapeHtml(field.key)}</div>
+          ${this.renderChoice(i, 'mine', formatValue(mine[field.key]), field.choice)}
+          ${this.renderChoice(i, 'theirs', formatValue(theirs[field.key]), field.choice)}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <p class="modal-intro">This file was changed outside the app after you opened it. Choose which version of each field to keep.</p>
+      <div class="conflict-legend"><span>Field</span><span>Mine</span><span>On disk</span></div>
+      ${rows}
+    `;
+  }
+
+  renderChoice(index, side, text, choice) {
+    return `
+      <label class="conflict-choice">
+        <input type="radio" name="conflict-field-${index}" value="${side}" ${choice === side ? 'checked' : ''}>
+        <span>${this.app.escapeHtml(text)}</span>
+      </label>
+    `;
+  }
+
+  /**
+   * Line diff of the body, "-" for lines only on disk and "+" for lines only in mine
+   */
+  renderDiff(theirs, mine) {
+    return diffLines(theirs.split('\n'), mine.split('\n'))
+      .map(({ type, line }) => {
+        const prefix = type === 'add' ? '+' : type === 'remove' ? '-' : ' ';
+        return `<span class="diff-line ${type}">${prefix} ${this.app.escapeHtml(line)}</span>`;
+      })
+      .join('\n');
+  }
+
+  bindFieldEvents(container) {
+    container.querySelectorAll('input[type="radio"]').forEach(radio => {
+      radio.addEventListener('change', () => {
+        const index = parseInt(radio.name.replace('conflict-field-', ''));
+        this.fields[index].choice = radio.value;
+      });
+    });
+  }
+
+  /**
+   * Make the resolved item build on the version now on disk, so the next
+   * save compares against (and keeps the history of) that version
+   */
+  rebase(item) {
+    const { theirs } = this.conflict;
+    if (theirs) {
+      item.fileState = theirs.fileState;
+    }
+    return item;
+  }
+
+  /**
+   * Combine my version with the fields chosen from disk
+   */
+  buildMerge() {
+    const { mine, theirs } = this.conflict;
+    const merged = { ...mine };
+
+    for (const field of this.fields) {
+      if (field.choice !== 'theirs') continue;
+      if (field.key in theirs) {
+        merged[field.key] = theirs[field.key];
+      } else {
+        delete merged[field.key];
+      }
+    }
+
+    return merged;
+  }
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Longest-common-subsequence line diff
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Object[]} Array of { type: 'same'|'add'|'remove', line }
+ */
+function diffLines(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(line => ({ type: 'remove', line })),
+      ...b.map(line => ({ type: 'add', line }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'remove', line: a[i++] });
+    } else {
+      result.push({ type: 'add', line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'remove', line: a[i++] });
+  while (j < b.length) result.push({ type: 'add', line: b[j++] });
+
+  return result;
+}
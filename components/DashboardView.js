@@ -0,0 +1,136 @@
+/**
+ * DashboardView - Tasks that need attention across all recent projects
+ */
+
+import crossProjectService from '../services/crossProjectService.js';
+import taskService from '../services/taskService.js';
+import { resolveAssignee } from '../services/members.js';
+
+// Tasks listed per section before "and N more"
+const SECTION_LIMIT = 20;
+
+export class DashboardView {
+  constructor(app) {
+    this.app = app;
+    this.entries = [];
+  }
+
+  init() {
+    document.getElementById('refreshDashboardBtn').addEventListener('click', () => this.load(true));
+  }
+
+  /**
+   * Load every project and render the dashboard
+   * @param {boolean} requestAccess - Ask for access to folders that need it
+   */
+  async load(requestAccess = false) {
+    const container = document.getElementById('dashboardContent');
+    container.innerHTML = '<p class="dashboard-loading">Loading projects…</p>';
+
+    await crossProjectService.loadAll(this.app.getProjectData(), requestAccess);
+    this.render();
+  }
+
+  /**
+   * Re-render after the open project changed, keeping other projects as loaded
+   */
+  refreshCurrentProject() {
+    crossProjectService.updateCurrent(this.app.getProjectData());
+    this.render();
+  }
+
+  render() {
+    const snapshots = crossProjectService.getSnapshots();
+    const container = document.getElementById('dashboardContent');
+    const me = taskService.author?.toLowerCase();
+
+    // Flatten to one entry per task so sections can be filtered across projects
+    this.entries = snapshots.flatMap(snapshot => snapshot.tasks.map(task => ({ snapshot, task })));
+    const open = this.entries.filter(({ snapshot, task }) => !isDone(snapshot, task.status));
+
+    const assigned = me ? open.filter(({ snapshot, task }) => isAssignedTo(snapshot, task, me)) : [];
+    const inProgress = open.filter(({ snapshot, task }) => task.status !== snapshot.statuses[0].id);
+    const highPriority = open.filter(({ task }) => task.priority === 'high');
+
+    container.innerHTML = `
+      <div class="dashboard-projects">
+        ${snapshots.map(snapshot => this.renderProject(snapshot)).join('')}
+      </div>
+      ${this.renderSection('Assigned to me', assigned, me ? 'Nothing assigned to you' : 'Set your name in the header to see tasks assigned to you')}
+      ${this.renderSection('In progress', inProgress, 'No tasks in progress')}
+      ${this.renderSection('High priority', highPriority, 'No open high-priority tasks')}
+    `;
+
+    container.querySelectorAll('[data-entry]').forEach(row => {
+      row.addEventListener('click', () => {
+        const { snapshot, task } = this.entries[parseInt(row.dataset.entry)];
+        this.app.openProjectTask(snapshot.project, task.id);
+      });
+    });
+
+    container.querySelectorAll('[data-grant]').forEach(btn => {
+      btn.addEventListener('click', () => this.load(true));
+    });
+  }
+
+  renderProject(snapshot) {
+    const current = snapshot.project.id === this.app.project?.id;
+    let detail;
+    if (snapshot.error === 'permission') {
+      detail = '<button class="btn btn-secondary btn-small" data-grant>Grant access</button>';
+    } else if (snapshot.error) {
+      detail = '<span class="dashboard-muted">Could not be read</span>';
+    } else {
+      const sprint = snapshot.activeSprint ? this.app.escapeHtml(snapshot.activeSprint.name) : 'No active sprint';
+      detail = `<span class="dashboard-muted">${snapshot.tasks.length} tasks · ${sprint}</span>`;
+    }
+
+    return `
+      <div class="dashboard-project ${current ? 'current' : ''}">
+        <span class="dashboard-project-name">${this.app.escapeHtml(snapshot.project.name)}</span>
+        ${detail}
+      </div>
+    `;
+  }
+
+  renderSection(title, entries, emptyText) {
+    const rows = entries.slice(0, SECTION_LIMIT).map(entry => {
+      const { snapshot, task } = entry;
+      const status = snapshot.statuses.find(s => s.id === task.status);
+      const sprint = task.sprint ? snapshot.sprints.find(s => s.id === task.sprint) : null;
+
+      return `
+        <div class="dashboard-task" data-entry="${this.entries.indexOf(entry)}">
+          <span class="dashboard-project-badge">${this.app.escapeHtml(snapshot.project.name)}</span>
+          <span class="task-id">#${task.id}</span>
+          <span class="dashboard-task-title">${this.app.escapeHtml(task.title)}</span>
+          <span class="dashboard-muted">${this.app.escapeHtml(status?.name || task.status)}</span>
+          <span class="dashboard-muted">${sprint ? this.app.escapeHtml(sprint.name) : 'Backlog'}</span>
+          <span class="task-priority ${task.priority}">${task.priority}</span>
+        </div>
+      `;
+    }).join('');
+
+    const more = entries.length > SECTION_LIMIT
+      ? `<div class="dashboard-muted">and ${entries.length - SECTION_LIMIT} more</div>`
+      : '';
+
+    return `
+      <section class="dashboard-section">
+        <h3 class="dashboard-section-title">${title} <span class="column-count">${entries.length}</span></h3>
+        ${rows || `<div class="dashboard-muted">${emptyText}</div>`}
+        ${more}
+      </section>
+    `;
+  }
+}
+
+// Assignees are member handles, the header name may match either the handle or the display name
+function isAssignedTo(snapshot, task, name) {
+  const member = resolveAssignee(snapshot.members, task.assignee);
+  return !!member && (member.handle.toLowerCase() === name || member.name.toLowerCase() === name);
+}
+
+function isDone(snapshot, statusId) {
+  return snapshot.statuses.find(s => s.id === statusId)?.done || false;
+}
@@ -0,0 +1,86 @@
+/**
+ * EpicModal - Handles epic creation and editing
+ */
+
+import epicService, { getEpicColor } from '../services/epicService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+
+export class EpicModal {
+  constructor(app) {
+    this.app = app;
+    this.epic = null;
+    this.fileState = null;
+    this.initialColor = null;
+  }
+
+  init() {
+    document.getElementById('closeEpicModal').addEventListener('click', () => this.hide());
+    document.getElementById('cancelEpicBtn').addEventListener('click', () => this.hide());
+    document.getElementById('deleteEpicBtn').addEventListener('click', () => this.deleteEpic());
+    document.getElementById('epicForm').addEventListener('submit', (e) => this.handleSubmit(e));
+  }
+
+  show(epic = null) {
+    document.getElementById('epicForm').reset();
+
+    this.epic = epic;
+    this.fileState = epic ? epic.fileState : null;
+    document.getElementById('epicModalTitle').textContent = epic ? `Edit ${epic.name}` : 'New Epic';
+    document.getElementById('saveEpicBtn').textContent = epic ? 'Save Epic' : 'Create Epic';
+    document.getElementById('deleteEpicBtn').style.display = epic ? '' : 'none';
+
+    document.getElementById('epicName').value = epic ? epic.name : '';
+    document.getElementById('epicStatus').value = epic ? epic.status : 'planned';
+    document.getElementById('epicTarget').value = epic?.targetDate || '';
+    document.getElementById('epicBody').value = epic ? epic.body || '' : '';
+
+    // The colour input only takes #rrggbb, so named or short colours start from the generated one
+    const color = epic ? getEpicColor(epic) : getEpicColor({ id: this.app.epics.length + 1 });
+    document.getElementById('epicColor').value = /^#[0-9a-fA-F]{6}$/.test(color) ? color : '#a855f7';
+    this.initialColor = document.getElementById('epicColor').value;
+
+    document.getElementById('epicModal').classList.add('active');
+    document.getElementById('epicName').focus();
+  }
+
+  hide() {
+    document.getElementById('epicModal').classList.remove('active');
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+
+    const data = {
+      name: document.getElementById('epicName').value.trim(),
+      status: document.getElementById('epicStatus').value,
+      color: document.getElementById('epicColor').value,
+      targetDate: document.getElementById('epicTarget').value || null,
+      body: document.getElementById('epicBody').value
+    };
+
+    let epic;
+    if (this.epic) {
+      // An untouched colour keeps what the file has, including no colour or a named one
+      if (data.color === this.initialColor) data.color = this.epic.color || null;
+      try {
+        epic = await epicService.updateEpic({ ...this.epic, ...data, fileState: this.fileState });
+      } catch (err) {
+        // Cancelled in the conflict dialog: keep the form open
+        if (err instanceof SaveCancelledError) return;
+        throw err;
+      }
+    } else {
+      epic = await epicService.createEpic(data, () => this.app.getNextEpicId());
+    }
+
+    this.hide();
+    this.app.refresh();
+    if (epic) this.app.showEpic(epic.id);
+  }
+
+  async deleteEpic() {
+    const epic = this.epic;
+    this.hide();
+    await this.app.deleteEpic(epic);
+  }
+}
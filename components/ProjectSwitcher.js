@@ -0,0 +1,99 @@
+/**
+ * ProjectSwitcher - Header menu of recently opened project folders
+ */
+
+import workspaceService from '../services/workspaceService.js';
+
+export class ProjectSwitcher {
+  constructor(app) {
+    this.app = app;
+    this.projects = [];
+  }
+
+  init() {
+    const menu = document.getElementById('projectMenu');
+
+    document.getElementById('projectSwitcherBtn').addEventListener('click', () => {
+      if (menu.classList.contains('active')) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    });
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', (e) => {
+      if (!document.getElementById('projectSwitcher').contains(e.target)) {
+        this.hide();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hide();
+    });
+  }
+
+  async show() {
+    this.projects = await workspaceService.getRecentProjects();
+    this.render();
+    document.getElementById('projectMenu').classList.add('active');
+  }
+
+  hide() {
+    document.getElementById('projectMenu').classList.remove('active');
+  }
+
+  render() {
+    const menu = document.getElementById('projectMenu');
+    const currentId = this.app.project?.id;
+
+    const items = this.projects.map((project, i) => `
+      <div class="project-menu-item ${project.id === currentId ? 'current' : ''}" data-index="${i}">
+        <div class="project-menu-info">
+          <span class="project-menu-name">${this.app.escapeHtml(project.name)}</span>
+          <span class="project-menu-meta">${this.app.escapeHtml(project.handle.name)} · ${formatLastOpened(project.lastOpened)}</span>
+        </div>
+        <button class="project-menu-remove" data-remove="${i}" title="Remove from list">&times;</button>
+      </div>
+    `).join('');
+
+    menu.innerHTML = `
+      ${items || '<div class="project-menu-empty">No recent projects</div>'}
+      <button class="project-menu-open" id="openFolderMenuBtn">
+        <span class="btn-icon">📁</span>
+        Open folder…
+      </button>
+    `;
+
+    menu.querySelectorAll('.project-menu-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('[data-remove]')) return;
+        this.hide();
+        this.app.openRecentProject(this.projects[parseInt(item.dataset.index)]);
+      });
+    });
+
+    menu.querySelectorAll('[data-remove]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await workspaceService.removeProject(this.projects[parseInt(btn.dataset.remove)].id);
+        await this.show();
+      });
+    });
+
+    document.getElementById('openFolderMenuBtn').addEventListener('click', () => {
+      this.hide();
+      this.app.selectFolder();
+    });
+  }
+}
+
+function formatLastOpened(time) {
+  const minutes = Math.round((Date.now() - time) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  return new Date(time).toLocaleDateString();
+}
@@ -0,0 +1,140 @@
+/**
+ * RenumberDialog - Repairs task files that share an ID
+ */
+
+import taskService from '../services/taskService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+
+export class RenumberDialog {
+  constructor(app) {
+    this.app = app;
+    this.groups = [];
+    this.references = [];
+  }
+
+  init() {
+    document.getElementById('closeRenumberModal').addEventListener('click', () => this.hide());
+    document.getElementById('cancelRenumberBtn').addEventListener('click', () => this.hide());
+    document.getElementById('applyRenumberBtn').addEventListener('click', () => this.apply());
+  }
+
+  show() {
+    const duplicates = taskService.findDuplicateIds(this.app.tasks);
+
+    // The oldest task keeps the ID, the others get new ones
+    this.groups = [...duplicates].map(([id, tasks]) => {
+      const [keeper, ...renumbered] = [...tasks].sort((a, b) =>
+        String(a.createdAt).localeCompare(String(b.createdAt)) || a.filename.localeCompare(b.filename)
+      );
+      return { id, keeper, renumbered };
+    });
+
+    // Other tasks mentioning a duplicated ID may mean any of the files
+    const duplicated = new Set(this.groups.flatMap(g => [g.keeper, ...g.renumbered]));
+    this.references = [];
+    for (const group of this.groups) {
+      for (const task of this.app.tasks) {
+        if (!duplicated.has(task) && taskService.referencesTask(task, group.id)) {
+          this.references.push({ task, group, target: group.keeper });
+        }
+      }
+    }
+
+    this.render();
+    document.getElementById('renumberModal').classList.add('active');
+  }
+
+  hide() {
+    document.getElementById('renumberModal').classList.remove('active');
+  }
+
+  render() {
+    const container = document.getElementById('renumberBody');
+
+    if (this.groups.length === 0) {
+      container.innerHTML = '<p class="modal-intro">No duplicate task IDs found.</p>';
+      return;
+    }
+
+    const groups = this.groups.map(group => `
+      <div class="renumber-group">
+        <div class="renumber-group-title">#${group.id}</div>
+        ${this.renderItem(group.keeper, `Keeps #${group.id}`, true)}
+        ${group.renumbered.map(task => this.renderItem(task, 'Gets a new ID', false)).join('')}
+      </div>
+    `).join('');
+
+    const references = this.references.length === 0 ? '' : `
+      <div class="renumber-group">
+        <div class="renumber-group-title">References</div>
+        <p class="modal-intro">These tasks mention, link to or have as their parent a duplicated ID. Choose which task each one means.</p>
+        ${this.references.map((ref, i) => `
+          <div class="renumber-reference">
+            <span class="task-id">#${ref.task.id}</span>
+            <span>${this.app.escapeHtml(ref.task.title)} refers to #${ref.group.id}</span>
+            <select data-reference="${i}">
+              ${[ref.group.keeper, ...ref.group.renumbered].map((task, j) => `
+                <option value="${j}">${this.app.escapeHtml(task.title)}</option>
+              `).join('')}
+            </select>
+          </div>
+        `).join('')}
+      </div>
+    `;
+
+    container.innerHTML = `
+      <p class="modal-intro">The oldest task in each group keeps its ID. The others are given new IDs and their files are renamed.</p>
+      ${groups}
+      ${references}
+    `;
+
+    container.querySelectorAll('select[data-reference]').forEach(select => {
+      select.addEventListener('change', () => {
+        const ref = this.references[parseInt(select.dataset.reference)];
+        ref.target = [ref.group.keeper, ...ref.group.renumbered][parseInt(select.value)];
+      });
+    });
+  }
+
+  renderItem(task, action, keeper) {
+    return `
+      <div class="renumber-item ${keeper ? 'keeper' : ''}">
+        <span>${this.app.escapeHtml(task.title)}</span>
+        <span class="renumber-file">${this.app.escapeHtml(task.filename)}</span>
+        <span class="renumber-action">${action}</span>
+      </div>
+    `;
+  }
+
+  async apply() {
+    const oldIds = new Map();
+    const updated = new Set();
+
+    try {
+      for (const group of this.groups) {
+        for (const task of group.renumbered) {
+          const oldId = task.id;
+          const newId = await this.app.getNextTaskId();
+          await taskService.renumberTask(task, newId);
+          oldIds.set(task, oldId);
+        }
+      }
+
+      for (const ref of this.references) {
+        if (oldIds.has(ref.target) && await taskService.replaceTaskReferences(ref.task, oldIds.get(ref.target), ref.target.id)) {
+          updated.add(ref.task);
+        }
+      }
+    } catch (err) {
+      // Stop at the cancelled file; the duplicate warning stays up for whatever is left
+      if (!(err instanceof SaveCancelledError)) throw err;
+    }
+
+    this.hide();
+    this.app.refresh();
+    const references = updated.size > 0
+      ? `, updated references in ${updated.size} ${updated.size === 1 ? 'task' : 'tasks'}`
+      : '';
+    this.app.showNotice(`Renumbered ${oldIds.size} ${oldIds.size === 1 ? 'task' : 'tasks'}${references}`);
+  }
+}
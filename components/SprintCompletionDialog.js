@@ -0,0 +1,203 @@
+/**
+ * SprintCompletionDialog - Completes a sprint and moves its unfinished tasks
+ */
+
+import taskService from '../services/taskService.js';
+import sprintService from '../services/sprintService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+import { getSprintSummary, formatDay } from '../services/sprintMetrics.js';
+
+const BACKLOG = 'backlog';
+const NEW_SPRINT = 'new';
+
+export class SprintCompletionDialog {
+  constructor(app) {
+    this.app = app;
+    this.sprint = null;
+    this.unfinished = [];
+    this.pending = null;
+  }
+
+  init() {
+    document.getElementById('closeSprintCompletionModal').addEventListener('click', () => this.finish(false));
+    document.getElementById('cancelSprintCompletionBtn').addEventListener('click', () => this.finish(false));
+    document.getElementById('confirmSprintCompletionBtn').addEventListener('click', () => this.complete());
+    document.getElementById('carryOverAll').addEventListener('change', (e) => this.setAllTargets(e.target.value));
+  }
+
+  /**
+   * Ask where the unfinished tasks of a sprint should go, then complete it
+   * @param {Object} sprint - Sprint to complete
+   * @param {Object|null} nextSprint - Sprint about to start, offered as the default destination
+   * @returns {Promise<boolean>} Whether the sprint was completed
+   */
+  show(sprint, nextSprint = null) {
+    if (this.pending) this.finish(false);
+
+    this.sprint = sprint;
+    this.unfinished = this.app.tasks.filter(t => t.sprint === sprint.id && !this.app.isDoneStatus(t.status));
+
+    const planning = this.app.sprints.filter(s => s.status === 'planning' && s.id !== sprint.id);
+    const defaultSprint = nextSprint || planning[0];
+    const defaultTarget = defaultSprint ? `sprint:${defaultSprint.id}` : BACKLOG;
+    const options = this.renderOptions(planning);
+
+    document.getElementById('sprintCompletionTitle').textContent = `Complete "${sprint.name}"`;
+    this.renderSummary();
+
+    const carryOver = document.getElementById('carryOverSection');
+    const all = document.getElementById('carryOverAll');
+    all.innerHTML = options;
+    all.value = defaultTarget;
+
+    const list = document.getElementById('carryOverList');
+    if (this.unfinished.length === 0) {
+      carryOver.style.display = 'none';
+      list.innerHTML = '';
+    } else {
+      carryOver.style.display = '';
+      list.innerHTML = this.unfinished.map(task => `
+        <div class="carry-over-item">
+          <span class="task-id">#${task.id}</span>
+          <span class="task-title">${this.app.escapeHtml(task.title)}</span>
+          <span class="carry-over-points">${task.storyPoints || 0} pts</span>
+          <select data-task-id="${task.id}">${options}</select>
+        </div>
+      `).join('');
+      this.setAllTargets(defaultTarget);
+
+      list.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', () => this.updateNewSprintField());
+      });
+    }
+
+    document.getElementById('carryOverSprintName').value = this.suggestSprintName();
+    document.getElementById('sprintCompletionModal').classList.add('active');
+
+    return new Promise(resolve => {
+      this.pending = resolve;
+    });
+  }
+
+  finish(completed) {
+    document.getElementById('sprintCompletionModal').classList.remove('active');
+    const resolve = this.pending;
+    this.pending = null;
+    this.sprint = null;
+    if (resolve) resolve(completed);
+  }
+
+  renderOptions(planning) {
+    return `
+      <option value="${BACKLOG}">Backlog</option>
+      ${planning.map(s => `<option value="sprint:${s.id}">${this.app.escapeHtml(s.name)}</option>`).join('')}
+      <option value="${NEW_SPRINT}">New sprint…</option>
+    `;
+  }
+
+  renderSummary() {
+    const summary = getSprintSummary(this.sprint, this.app.tasks, id => this.app.isDoneStatus(id));
+    document.getElementById('sprintCompletionSummary').innerHTML = `
+      <div class="completion-stat">
+        <span class="completion-stat-value">${summary.completedTasks}</span>
+        <span class="completion-stat-label">Completed tasks (${summary.completedPoints} pts)</span>
+      </div>
+      <div class="completion-stat">
+        <span class="completion-stat-value">${summary.incompleteTasks}</span>
+        <span class="completion-stat-label">Unfinished tasks (${summary.incompletePoints} pts)</span>
+      </div>
+    `;
+  }
+
+  setAllTargets(value) {
+    document.querySelectorAll('#carryOverList select').forEach(select => {
+      select.value = value;
+    });
+    this.updateNewSprintField();
+  }
+
+  updateNewSprintField() {
+    const needsName = [...document.querySelectorAll('#carryOverList select')].some(s => s.value === NEW_SPRINT);
+    document.getElementById('carryOverNewSprint').style.display = needsName ? '' : 'none';
+  }
+
+  suggestSprintName() {
+    const match = this.sprint.name.match(/^(.*?)(\d+)$/);
+    return match ? `${match[1]}${parseInt(match[2]) + 1}` : `${this.sprint.name} (continued)`;
+  }
+
+  /**
+   * Dates for a sprint created for carry-over: from today, as long as the completed sprint
+   */
+  newSprintDates() {
+    const start = new Date(this.sprint.startDate);
+    const end = new Date(this.sprint.endDate);
+    const length = end > start ? Math.round((end - start) / 86400000) : 14;
+
+    const today = new Date();
+    const endDate = new Date(today);
+    endDate.setDate(today.getDate() + length);
+
+    return {
+      startDate: formatDay(today),
+      endDate: formatDay(endDate)
+    };
+  }
+
+  async complete() {
+    const button = document.getElementById('confirmSprintCompletionBtn');
+    button.disabled = true;
+    try {
+      await this.applyCompletion();
+    } catch (err) {
+      // The sprint stays open; tasks already moved keep their new sprint
+      if (!(err instanceof SaveCancelledError)) throw err;
+      this.finish(false);
+      this.app.refresh();
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async applyCompletion() {
+    const sprint = this.sprint;
+    const completedAt = new Date();
+    const summary = getSprintSummary(sprint, this.app.tasks, id => this.app.isDoneStatus(id));
+    const targets = [...document.querySelectorAll('#carryOverList select')]
+      .map(select => ({ task: this.unfinished.find(t => t.id === parseInt(select.dataset.taskId)), target: select.value }));
+
+    let newSprint = null;
+    if (targets.some(t => t.target === NEW_SPRINT)) {
+      const name = document.getElementById('carryOverSprintName').value.trim();
+      if (!name) {
+        document.getElementById('carryOverSprintName').focus();
+        return;
+      }
+      newSprint = await sprintService.createSprint({ name, ...this.newSprintDates() }, () => this.app.getNextSprintId());
+    }
+
+    const carriedOver = {};
+    for (const { task, target } of targets) {
+      let sprintId = null;
+      let destination = 'Backlog';
+      if (target === NEW_SPRINT) {
+        sprintId = newSprint.id;
+        destination = newSprint.name;
+      } else if (target !== BACKLOG) {
+        sprintId = parseInt(target.replace('sprint:', ''));
+        destination = this.app.sprints.find(s => s.id === sprintId)?.name || destination;
+      }
+
+      await taskService.moveToSprint(task, sprintId);
+      carriedOver[destination] = (carriedOver[destination] || 0) + 1;
+    }
+
+    await sprintService.completeSprint(sprint, {
+      ...summary,
+      completedAt: formatDay(completedAt),
+      carriedOver
+    }, completedAt);
+
+    this.finish(true);
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * SprintDeleteDialog - Deletes a sprint after asking where its tasks go
+ */
+
+import taskService from '../services/taskService.js';
+import sprintService from '../services/sprintService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+
+export class SprintDeleteDialog {
+  constructor(app) {
+    this.app = app;
+    this.sprint = null;
+  }
+
+  init() {
+    document.getElementById('closeSprintDeleteModal').addEventListener('click', () => this.hide());
+    document.getElementById('cancelSprintDeleteBtn').addEventListener('click', () => this.hide());
+    document.getElementById('confirmSprintDeleteBtn').addEventListener('click', () => this.deleteSprint());
+  }
+
+  /**
+   * Confirm deleting a sprint, or ask where its tasks should go
+   * @param {Object} sprint - Sprint to delete
+   */
+  async show(sprint) {
+    this.sprint = sprint;
+    const tasks = this.app.tasks.filter(t => t.sprint === sprint.id);
+
+    if (tasks.length === 0) {
+      if (confirm(`Delete "${sprint.name}"?`)) {
+        await this.deleteSprint();
+      }
+      return;
+    }
+
+    document.getElementById('sprintDeleteTitle').textContent = `Delete "${sprint.name}"`;
+    document.getElementById('sprintDeleteIntro').textContent =
+      `${tasks.length} ${tasks.length === 1 ? 'task is' : 'tasks are'} in this sprint. Choose where to move ${tasks.length === 1 ? 'it' : 'them'} before the sprint file is deleted.`;
+
+    const others = this.app.sprints.filter(s => s.id !== sprint.id && s.status !== 'completed');
+    document.getElementById('sprintDeleteTarget').innerHTML = `
+      <option value="">Backlog</option>
+      ${others.map(s => `<option value="${s.id}">${this.app.escapeHtml(s.name)}</option>`).join('')}
+    `;
+
+    document.getElementById('sprintDeleteModal').classList.add('active');
+  }
+
+  hide() {
+    document.getElementById('sprintDeleteModal').classList.remove('active');
+  }
+
+  async deleteSprint() {
+    const sprint = this.sprint;
+    const target = document.getElementById('sprintDeleteTarget').value;
+    const targetId = target ? parseInt(target) : null;
+
+    try {
+      for (const task of this.app.tasks.filter(t => t.sprint === sprint.id)) {
+        await taskService.moveToSprint(task, targetId);
+      }
+    } catch (err) {
+      // Keep the sprint while it still has tasks; the dialog stays open to try again
+      if (!(err instanceof SaveCancelledError)) throw err;
+      this.app.refresh();
+      return;
+    }
+    await sprintService.deleteSprint(sprint);
+
+    this.hide();
+    if (this.app.currentSprintId === sprint.id) {
+      this.app.showBacklog();
+    }
+    this.app.refresh();
+  }
+}
@@ -1,25 +1,48 @@
 /**
- * SprintModal - Handles sprint creation
+ * SprintModal - Handles sprint creation and editing
  */
 
 import sprintService from '../services/sprintService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
 
 export class SprintModal {
   constructor(app) {
     this.app = app;
+    this.sprint = null;
+    this.fileState = null;
   }
 
   init() {
     document.getElementById('closeSprintModal').addEventListener('click', () => this.hide());
     document.getElementById('cancelSprintBtn').addEventListener('click', () => this.hide());
+    document.getElementById('deleteSprintBtn').addEventListener('click', () => this.deleteSprint());
     document.getElementById('sprintForm').addEventListener('submit', (e) => this.handleSubmit(e));
   }
 
-  show() {
+  show(sprint = null) {
     const modal = document.getElementById('sprintModal');
     const form = document.getElementById('sprintForm');
     form.reset();
 
+    this.sprint = sprint;
+    this.fileState = sprint ? sprint.fileState : null;
+    document.getElementById('deleteSprintBtn').style.display = sprint ? '' : 'none';
+    document.getElementById('saveSprintBtn').textContent = sprint ? 'Save Sprint' : 'Create Sprint';
+    document.getElementById('sprintBodyGroup').style.display = sprint ? '' : 'none';
+
+    if (sprint) {
+      document.getElementById('sprintModalTitle').textContent = `Edit ${sprint.name}`;
+      document.getElementById('sprintName').value = sprint.name;
+      document.getElementById('sprintGoal').value = sprint.goal || '';
+      document.getElementById('sprintStart').value = sprint.startDate || '';
+      document.getElementById('sprintEnd').value = sprint.endDate || '';
+      document.getElementById('sprintBody').value = sprint.body || '';
+      modal.classList.add('active');
+      return;
+    }
+
+    document.getElementById('sprintModalTitle').textContent = 'New Sprint';
+
     // Set default dates (2 weeks from today)
     const today = new Date();
     const twoWeeks = new Date(today);
@@ -49,8 +72,31 @@ export class SprintModal {
       endDate: document.getElementById('sprintEnd').value
     };
 
-    await sprintService.createSprint(data, () => this.app.getNextSprintId());
+    if (data.endDate < data.startDate) {
+      alert('The end date must not be before the start date.');
+      return;
+    }
+
+    if (this.sprint) {
+      data.body = document.getElementById('sprintBody').value;
+      try {
+        await sprintService.updateSprint({ ...this.sprint, ...data, fileState: this.fileState });
+      } catch (err) {
+        // Cancelled in the conflict dialog: keep the form open
+        if (err instanceof SaveCancelledError) return;
+        throw err;
+      }
+    } else {
+      await sprintService.createSprint(data, () => this.app.getNextSprintId());
+    }
+
+    this.hide();
+    this.app.refresh();
+  }
+
+  async deleteSprint() {
+    const sprint = this.sprint;
     this.hide();
-    await this.app.loadAllData();
+    await this.app.modals.showSprintDeleteDialog(sprint);
   }
 }
@@ -0,0 +1,191 @@
+/**
+ * SprintReport - Burndown and burnup charts for the sprint board
+ */
+
+import { buildBurnData } from '../services/sprintMetrics.js';
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 240;
+const PADDING = { top: 36, right: 16, bottom: 28, left: 36 };
+
+// Charts are exported as standalone images, so colors can't come from CSS variables
+const COLORS = {
+  background: '#1e293b',
+  grid: 'rgba(148, 163, 184, 0.15)',
+  text: '#94a3b8',
+  title: '#f8fafc',
+  ideal: '#64748b',
+  remaining: '#6366f1',
+  completed: '#22c55e',
+  scope: '#f59e0b'
+};
+
+export class SprintReport {
+  constructor(app) {
+    this.app = app;
+    this.visible = false;
+    this.sprint = null;
+  }
+
+  init() {
+    document.getElementById('sprintReportBtn').addEventListener('click', () => this.toggle());
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.render(this.sprint);
+  }
+
+  /**
+   * Render the report for a sprint, if the panel is open
+   * @param {Object} sprint - Sprint shown on the board
+   */
+  render(sprint) {
+    this.sprint = sprint;
+    const panel = document.getElementById('sprintReport');
+    document.getElementById('sprintReportBtn').classList.toggle('active', this.visible);
+
+    if (!this.visible || !sprint) {
+      panel.style.display = 'none';
+      return;
+    }
+
+    panel.style.display = '';
+    const data = buildBurnData(sprint, this.app.tasks, id => this.app.isDoneStatus(id));
+
+    if (data.days.length === 0) {
+      panel.innerHTML = '<p class="sprint-report-empty">Set a start and end date to see burndown and burnup charts.</p>';
+      return;
+    }
+
+    const burndown = this.renderChart('Burndown', data, [
+      { label: 'Ideal', values: data.ideal, color: COLORS.ideal, dashed: true },
+      { label: 'Remaining', values: data.remaining, color: COLORS.remaining }
+    ], true);
+
+    const burnup = this.renderChart('Burnup', data, [
+      { label: 'Scope', values: data.scope, color: COLORS.scope },
+      { label: 'Completed', values: data.completed, color: COLORS.completed }
+    ], false);
+
+    panel.innerHTML = `
+      <div class="sprint-report-chart">
+        ${burndown}
+        <button class="btn btn-secondary btn-small" data-export="burndown">Export PNG</button>
+      </div>
+      <div class="sprint-report-chart">
+        ${burnup}
+        <button class="btn btn-secondary btn-small" data-export="burnup">Export PNG</button>
+      </div>
+    `;
+
+    panel.querySelectorAll('[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const svg = btn.parentElement.querySelector('svg');
+        this.exportChart(svg, `${sprint.name}-${btn.dataset.export}`);
+      });
+    });
+  }
+
+  /**
+   * Build an SVG line chart
+   * @param {string} title - Chart title
+   * @param {Object} data - Series from buildBurnData
+   * @param {Object[]} series - Lines to draw: { label, values, color, dashed }
+   * @param {boolean} markScope - Mark days where the scope changed
+   * @returns {string} SVG markup
+   */
+  renderChart(title, data, series, markScope) {
+    const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+    const values = series.flatMap(s => s.values).filter(v => v !== null);
+    const maxValue = Math.max(1, ...values);
+    const steps = Math.max(data.days.length - 1, 1);
+
+    const x = i => PADDING.left + (plotWidth * i) / steps;
+    const y = value => PADDING.top + plotHeight - (plotHeight * value) / maxValue;
+
+    const grid = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+      const value = Math.round(maxValue * fraction);
+      return `
+        <line x1="${PADDING.left}" x2="${CHART_WIDTH - PADDING.right}" y1="${y(value)}" y2="${y(value)}" stroke="${COLORS.grid}" />
+        <text x="${PADDING.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>
+      `;
+    }).join('');
+
+    const labelIndexes = [...new Set([0, Math.floor((data.days.length - 1) / 2), data.days.length - 1])];
+    const dayLabels = labelIndexes.map(i => `
+      <text x="${x(i)}" y="${CHART_HEIGHT - 8}" text-anchor="middle">${data.days[i].slice(5)}</text>
+    `).join('');
+
+    const lines = series.map(s => {
+      const points = s.values
+        .map((value, i) => (value === null ? null : `${x(i)},${y(value)}`))
+        .filter(Boolean)
+        .join(' ');
+      return `<polyline points="${points}" fill="none" stroke="${s.color}" stroke-width="2" ${s.dashed ? 'stroke-dasharray="5 4"' : ''} />`;
+    }).join('');
+
+    const markers = !markScope ? '' : data.scopeChanges.map(change => `
+      <circle cx="${x(change.index)}" cy="${y(data.remaining[change.index])}" r="4" fill="${COLORS.scope}">
+        <title>${change.day}: ${change.delta > 0 ? '+' : ''}${change.delta} points in scope</title>
+      </circle>
+    `).join('');
+
+    let legendX = CHART_WIDTH - PADDING.right;
+    const legend = [...series].reverse().map(s => {
+      legendX -= s.label.length * 7 + 24;
+      return `
+        <rect x="${legendX}" y="12" width="10" height="10" rx="2" fill="${s.color}" />
+        <text x="${legendX + 14}" y="21">${s.label}</text>
+      `;
+    }).join('');
+
+    return `
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}"
+           font-family="Inter, sans-serif" font-size="11" fill="${COLORS.text}">
+        <rect width="100%" height="100%" rx="10" fill="${COLORS.background}" />
+        <text x="${PADDING.left}" y="21" font-size="13" font-weight="600" fill="${COLORS.title}">${title}</text>
+        ${legend}
+        ${grid}
+        ${dayLabels}
+        ${lines}
+        ${markers}
+      </svg>
+    `;
+  }
+
+  /**
+   * Download a chart as a PNG image
+   * @param {SVGElement} svg - Rendered chart
+   * @param {string} name - File name without extension
+   */
+  async exportChart(svg, name) {
+    const source = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml' }));
+
+    try {
+      const image = new Image();
+      await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = reject;
+        image.src = url;
+      });
+
+      // Render at twice the size so the image stays sharp
+      const canvas = document.createElement('canvas');
+      canvas.width = CHART_WIDTH * 2;
+      canvas.height = CHART_HEIGHT * 2;
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.png`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
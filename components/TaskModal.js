@@ -3,23 +3,87 @@
  */
 
 import taskService from '../services/taskService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+import { getCycleTime } from '../services/taskHistory.js';
+import { normalizeTaskLabels } from '../services/labels.js';
+import { parseFieldInput, validateFieldValue, getFieldValue } from '../services/customFields.js';
+import { parseChecklist, getChecklistProgress, setChecklistItem } from '../services/checklist.js';
+import { getParentId, getRollup, createsCycle } from '../services/subtasks.js';
+import { LINK_TYPES } from '../services/taskLinks.js';
+import { getEpicId } from '../services/epicService.js';
+
+// Suggestions shown by the link picker
+const MAX_LINK_SUGGESTIONS = 8;
 
 export class TaskModal {
   constructor(app) {
     this.app = app;
+    this.fileState = null;
+    this.labels = [];
+    this.invalidFields = new Map();
+    this.task = null;
+    this.links = {};
   }
 
   init() {
     document.getElementById('closeTaskModal').addEventListener('click', () => this.hide());
     document.getElementById('cancelTaskBtn').addEventListener('click', () => this.hide());
     document.getElementById('taskForm').addEventListener('submit', (e) => this.handleSubmit(e));
+
+    // Label editor: Enter or comma adds the typed label, Backspace on an empty input removes the last one
+    const labelInput = document.getElementById('taskLabelInput');
+    labelInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        this.addLabel(labelInput.value);
+      } else if (e.key === 'Backspace' && labelInput.value === '' && this.labels.length > 0) {
+        this.labels.pop();
+        this.renderLabels();
+      }
+    });
+    // Fires when a suggestion is picked and when the input loses focus
+    labelInput.addEventListener('change', () => this.addLabel(labelInput.value));
+
+    // Link picker: type to find tasks, Enter or a click links the first/picked one
+    const linkInput = document.getElementById('taskLinkInput');
+    linkInput.addEventListener('input', () => this.renderLinkSuggestions());
+    linkInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        const first = document.querySelector('#taskLinkSuggestions .link-suggestion');
+        if (first) this.addLink(parseInt(first.dataset.taskId));
+      } else if (e.key === 'Escape' && linkInput.value) {
+        e.stopPropagation();
+        linkInput.value = '';
+        this.renderLinkSuggestions();
+      }
+    });
+    linkInput.addEventListener('blur', () => {
+      document.getElementById('taskLinkSuggestions').innerHTML = '';
+    });
+    document.getElementById('taskLinkType').addEventListener('change', () => this.renderLinkSuggestions());
+
+    document.getElementById('taskBody').addEventListener('input', () => this.renderChecklist());
+    document.getElementById('taskParent').addEventListener('input', (e) => e.target.setCustomValidity(''));
+    document.getElementById('addSubtaskBtn').addEventListener('click', () => {
+      this.show(null, { parent: this.task.id, sprint: this.task.sprint, epic: getEpicId(this.task) });
+    });
   }
 
-  show(task = null) {
+  /**
+   * @param {Object|null} task - Task to edit, or null to create one
+   * @param {Object} defaults - For a new task: { parent, sprint, epic }
+   */
+  show(task = null, defaults = {}) {
     const modal = document.getElementById('taskModal');
     const title = document.getElementById('taskModalTitle');
     const form = document.getElementById('taskForm');
 
+    // Remember the file version the form was filled from, so a save after
+    // the file changed on disk is detected as a conflict
+    this.fileState = task ? task.fileState : null;
+    this.task = task;
+
     if (task) {
       title.textContent = `Edit Task #${task.id}`;
       document.getElementById('taskTitle').value = task.title;
@@ -28,17 +92,423 @@ export class TaskModal {
       document.getElementById('taskBody').value = task.body || '';
       document.getElementById('taskId').value = task.id;
       document.getElementById('taskSprint').value = task.sprint || '';
+      document.getElementById('taskParent').value = getParentId(task) ? `#${getParentId(task)}` : '';
     } else {
-      title.textContent = 'New Task';
+      title.textContent = defaults.parent ? `New Subtask of #${defaults.parent}` : 'New Task';
       form.reset();
       document.getElementById('taskId').value = '';
-      document.getElementById('taskSprint').value = this.app.currentView === 'sprint' ? this.app.currentSprintId : '';
+      document.getElementById('taskSprint').value = defaults.sprint !== undefined
+        ? defaults.sprint || ''
+        : this.app.currentView === 'sprint' ? this.app.currentSprintId : '';
+      document.getElementById('taskParent').value = defaults.parent ? `#${defaults.parent}` : '';
     }
+    document.getElementById('taskParent').setCustomValidity('');
 
+    this.renderAssignees(task);
+    this.renderEpics(task ? getEpicId(task) : defaults.epic ?? null);
+    this.labels = task ? [...(task.labels || [])] : [];
+    document.getElementById('taskLabelInput').value = '';
+    this.renderLabels();
+    this.links = Object.fromEntries(LINK_TYPES.map(({ key }) => [key, task ? [...(task[key] || [])] : []]));
+    document.getElementById('taskLinkInput').value = '';
+    document.getElementById('taskLinkType').value = LINK_TYPES[0].key;
+    this.renderLinks();
+    this.renderLinkSuggestions();
+    this.renderCustomFields(task);
+    this.renderChecklist();
+    this.renderSubtasks(task);
+    this.renderHistory(task);
     modal.classList.add('active');
     document.getElementById('taskTitle').focus();
   }
 
+  /**
+   * Fill the assignee select with project members, keeping an assignee that isn't one
+   */
+  renderAssignees(task) {
+    const select = document.getElementById('taskAssignee');
+    const current = task ? this.app.getAssignee(task) : null;
+
+    const options = this.app.members.map(member =>
+      `<option value="${this.app.escapeAttr(member.handle)}">${this.app.escapeHtml(member.name)}</option>`
+    );
+    if (current?.unknown) {
+      options.push(`<option value="${this.app.escapeAttr(current.handle)}">${this.app.escapeHtml(current.name)} (not in project.md)</option>`);
+    }
+
+    select.innerHTML = ['<option value="">Unassigned</option>', ...options].join('');
+    select.value = current ? current.handle : '';
+  }
+
+  /**
+   * Fill the epic select, keeping an epic whose file is gone
+   * @param {number|null} current - Selected epic ID
+   */
+  renderEpics(current) {
+    const select = document.getElementById('taskEpic');
+
+    const options = this.app.epics.map(epic =>
+      `<option value="${epic.id}">${this.app.escapeHtml(epic.name)}</option>`
+    );
+    if (current !== null && !this.app.epics.some(epic => epic.id === current)) {
+      options.push(`<option value="${current}">Epic ${current} (not found)</option>`);
+    }
+
+    select.innerHTML = ['<option value="">No epic</option>', ...options].join('');
+    select.value = current !== null ? String(current) : '';
+  }
+
+  addLabel(value) {
+    this.labels = normalizeTaskLabels([...this.labels, ...value.split(',')]);
+    document.getElementById('taskLabelInput').value = '';
+    this.renderLabels();
+  }
+
+  renderLabels() {
+    const container = document.getElementById('taskLabels');
+    container.innerHTML = this.labels.map((name, i) => `
+      <span class="label-editor-item">
+        ${this.app.renderLabel(name)}
+        <button type="button" class="label-remove" data-index="${i}" title="Remove label">&times;</button>
+      </span>
+    `).join('');
+
+    container.querySelectorAll('.label-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.labels.splice(parseInt(btn.dataset.index), 1);
+        this.renderLabels();
+      });
+    });
+  }
+
+  /**
+   * List the task's links, grouped by type
+   */
+  renderLinks() {
+    const esc = value => this.app.escapeHtml(String(value));
+    const list = document.getElementById('taskLinks');
+
+    list.innerHTML = LINK_TYPES.flatMap(({ key, name }) => this.links[key].map(id => {
+      const linked = this.app.tasks.find(t => t.id === id);
+      const done = linked && this.app.isDoneStatus(linked.status) ? 'done' : '';
+      return `
+        <li class="task-link ${done}">
+          <span class="task-link-type">${esc(name)}</span>
+          <span class="task-id">#${id}</span>
+          <span class="task-link-title">${linked ? esc(linked.title) : '<em>missing task</em>'}</span>
+          <button type="button" class="label-remove" data-type="${key}" data-task-id="${id}" title="Remove link">&times;</button>
+        </li>
+      `;
+    })).join('');
+
+    list.querySelectorAll('.label-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const { type } = btn.dataset;
+        this.links[type] = this.links[type].filter(id => id !== parseInt(btn.dataset.taskId));
+        this.renderLinks();
+      });
+    });
+  }
+
+  /**
+   * Suggest tasks matching the picker input by ID or fuzzy title match
+   */
+  renderLinkSuggestions() {
+    const container = document.getElementById('taskLinkSuggestions');
+    const text = document.getElementById('taskLinkInput').value.trim();
+    const type = document.getElementById('taskLinkType').value;
+    if (text === '') {
+      container.innerHTML = '';
+      return;
+    }
+
+    const selfId = this.task ? this.task.id : null;
+    const idQuery = text.match(/^#?(\d+)$/);
+    const candidates = this.app.tasks
+      .filter(task => task.id !== selfId && !this.links[type].includes(task.id))
+      .map(task => {
+        // An exact ID beats any title match
+        if (idQuery && task.id === parseInt(idQuery[1])) return { task, score: Infinity };
+        return { task, score: this.app.search.fuzzyMatch(task.title, text.replace(/^#/, '')).score };
+      })
+      .filter(candidate => candidate.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_LINK_SUGGESTIONS);
+
+    container.innerHTML = candidates.map(({ task }) => `
+      <li>
+        <button type="button" class="link-suggestion" data-task-id="${task.id}">
+          <span class="task-id">#${task.id}</span>
+          ${this.app.escapeHtml(task.title)}
+        </button>
+      </li>
+    `).join('');
+
+    container.querySelectorAll('.link-suggestion').forEach(btn => {
+      btn.addEventListener('mousedown', (e) => {
+        // Keep the input focused so the list doesn't close before the click
+        e.preventDefault();
+        this.addLink(parseInt(btn.dataset.taskId));
+      });
+    });
+  }
+
+  addLink(id) {
+    const type = document.getElementById('taskLinkType').value;
+    if (!this.links[type].includes(id)) this.links[type].push(id);
+
+    document.getElementById('taskLinkInput').value = '';
+    this.renderLinks();
+    this.renderLinkSuggestions();
+  }
+
+  /**
+   * Render inputs for the project's custom fields
+   */
+  renderCustomFields(task) {
+    const esc = value => this.app.escapeHtml(String(value));
+    const escAttr = value => this.app.escapeAttr(String(value));
+    const container = document.getElementById('taskCustomFields');
+
+    // Values written by hand that don't fit the field can't be shown in a
+    // typed input; they are kept unless the input is filled in
+    this.invalidFields = new Map();
+    for (const field of this.app.fields) {
+      const message = task ? validateFieldValue(field, task[field.key]) : null;
+      if (message) this.invalidFields.set(field.key, { value: task[field.key], message });
+    }
+
+    container.innerHTML = this.app.fields.map(field => {
+      const id = `taskField-${field.key}`;
+      const required = field.required ? 'required' : '';
+
+      let input;
+      if (field.type === 'enum') {
+        const options = field.options.map(option => `<option value="${escAttr(option)}">${esc(option)}</option>`).join('');
+        input = `<select id="${id}" ${required}><option value="">—</option>${options}</select>`;
+      } else if (field.type === 'number') {
+        const min = field.min !== null ? `min="${field.min}"` : '';
+        const max = field.max !== null ? `max="${field.max}"` : '';
+        input = `<input type="number" step="any" id="${id}" ${min} ${max} ${required} />`;
+      } else {
+        input = `<input type="${field.type === 'date' ? 'date' : 'text'}" id="${id}" ${required} />`;
+      }
+
+      const invalid = this.invalidFields.get(field.key);
+      const text = invalid && (typeof invalid.value === 'object' ? JSON.stringify(invalid.value) : invalid.value);
+      const hint = invalid
+        ? `<div class="form-hint error">The file has "${esc(text)}", which is ${esc(invalid.message)}. It is kept unless you enter a value.</div>`
+        : '';
+
+      return `
+        <div class="form-group">
+          <label for="${id}">${esc(field.name)}${field.required ? ' *' : ''}</label>
+          ${input}
+          ${hint}
+        </div>
+      `;
+    }).join('');
+
+    // Values are set through the DOM so quotes in them survive
+    for (const field of this.app.fields) {
+      const input = document.getElementById(`taskField-${field.key}`);
+      if (task && !this.invalidFields.has(field.key)) {
+        // Hand-edited enum values may differ in case from the option
+        input.value = field.type === 'enum' ? getFieldValue(task, field) ?? '' : task[field.key] ?? '';
+      }
+      input.addEventListener('input', () => input.setCustomValidity(''));
+    }
+  }
+
+  /**
+   * Read and validate the custom field inputs
+   * @returns {Object|null} Values by key (null to clear), or null if an input is invalid
+   */
+  readCustomFields() {
+    const values = {};
+
+    for (const field of this.app.fields) {
+      const input = document.getElementById(`taskField-${field.key}`);
+      if (input.value === '' && this.invalidFields.has(field.key)) continue;
+
+      const { value, error } = parseFieldInput(field, input.value);
+      if (error) {
+        input.setCustomValidity(error);
+        input.reportValidity();
+        return null;
+      }
+      values[field.key] = value;
+    }
+
+    return values;
+  }
+
+  /**
+   * Show the description's checklist as checkboxes; ticking one edits the
+   * description, so the change is saved with the task
+   */
+  renderChecklist() {
+    const body = document.getElementById('taskBody');
+    const items = parseChecklist(body.value);
+    const section = document.getElementById('taskChecklistSection');
+
+    if (items.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const progress = getChecklistProgress(body.value);
+    document.getElementById('taskChecklistProgress').textContent = `${progress.done}/${progress.total}`;
+
+    const list = document.getElementById('taskChecklist');
+    list.innerHTML = items.map(item => `
+      <li>
+        <label class="${item.checked ? 'checked' : ''}">
+          <input type="checkbox" data-line="${item.line}" ${item.checked ? 'checked' : ''} />
+          ${this.app.escapeHtml(item.text)}
+        </label>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        body.value = setChecklistItem(body.value, parseInt(checkbox.dataset.line), checkbox.checked);
+        this.renderChecklist();
+      });
+    });
+    section.style.display = '';
+  }
+
+  /**
+   * List a task's subtasks with their rolled-up progress
+   */
+  renderSubtasks(task) {
+    const section = document.getElementById('taskSubtasksSection');
+    if (!task) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const children = this.app.getSubtasks(task);
+    const rollup = getRollup(children, status => this.app.isDoneStatus(status));
+    document.getElementById('taskSubtasksProgress').textContent = rollup
+      ? `${rollup.done}/${rollup.total} done · ${rollup.donePoints}/${rollup.points} pts`
+      : '';
+
+    const list = document.getElementById('taskSubtasks');
+    list.innerHTML = children.map(child => `
+      <li>
+        <button type="button" class="subtask-link ${this.app.isDoneStatus(child.status) ? 'done' : ''}" data-task-id="${child.id}">
+          <span class="task-id">#${child.id}</span>
+          ${this.app.escapeHtml(child.title)}
+          <span class="subtask-status">${this.app.escapeHtml(this.formatStatus(child.status))}</span>
+        </button>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('.subtask-link').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.show(this.app.tasks.find(t => t.id === parseInt(btn.dataset.taskId)));
+      });
+    });
+    section.style.display = '';
+  }
+
+  /**
+   * Read the parent input
+   * @param {number|null} id - ID of the task being edited
+   * @returns {Object} { value, error } with the parent ID or null
+   */
+  readParent(id) {
+    const text = document.getElementById('taskParent').value.trim().replace(/^#/, '');
+    if (text === '') return { value: null, error: null };
+
+    const parentId = parseInt(text);
+    if (!/^\d+$/.test(text) || !this.app.tasks.some(t => t.id === parentId)) {
+      return { value: null, error: `There is no task #${text}` };
+    }
+    if (id !== null && createsCycle(this.app.tasks, id, parentId)) {
+      return { value: null, error: 'A task can\'t be a subtask of itself or of its own subtasks' };
+    }
+    return { value: parentId, error: null };
+  }
+
+  /**
+   * Show the task's activity log, newest first
+   */
+  renderHistory(task) {
+    const section = document.getElementById('taskHistorySection');
+    const history = task?.history || [];
+
+    if (history.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const cycleTime = getCycleTime(task, id => this.app.isDoneStatus(id));
+    document.getElementById('taskHistorySummary').textContent =
+      cycleTime === null ? '' : `Cycle time: ${formatDuration(cycleTime)}`;
+
+    document.getElementById('taskHistory').innerHTML = [...history].reverse().map(entry => {
+      const time = new Date(entry.at);
+      const when = isNaN(time) ? entry.at : time.toLocaleString();
+      const by = entry.author ? ` by ${entry.author}` : '';
+      return `
+        <li>
+          <span class="task-history-time">${this.app.escapeHtml(when)}</span>
+          ${this.app.escapeHtml(this.describeEntry(entry) + by)}
+        </li>
+      `;
+    }).join('');
+
+    section.style.display = '';
+  }
+
+  describeEntry(entry) {
+    switch (entry.field) {
+      case 'created':
+        return 'Created';
+      case 'body':
+        return 'Description edited';
+      case 'status':
+        return `Status: ${this.formatStatus(entry.from)} → ${this.formatStatus(entry.to)}`;
+      case 'sprint':
+        return `Sprint: ${this.formatSprint(entry.from)} → ${this.formatSprint(entry.to)}`;
+      case 'storyPoints':
+        return `Story points: ${entry.from ?? 0} → ${entry.to ?? 0}`;
+      case 'assignee':
+        return `Assignee: ${this.formatAssignee(entry.from)} → ${this.formatAssignee(entry.to)}`;
+      case 'blockedBy':
+      case 'relatesTo':
+      case 'duplicates':
+        return `${LINK_TYPES.find(link => link.key === entry.field).name}: ${entry.from ?? 'none'} → ${entry.to ?? 'none'}`;
+      case 'epic':
+        return `Epic: ${this.formatEpic(entry.from)} → ${this.formatEpic(entry.to)}`;
+      case 'parent':
+        return `Parent: ${entry.from ? `#${entry.from}` : 'None'} → ${entry.to ? `#${entry.to}` : 'None'}`;
+      default:
+        return `${entry.field.charAt(0).toUpperCase()}${entry.field.slice(1)}: ${entry.from ?? '—'} → ${entry.to ?? '—'}`;
+    }
+  }
+
+  formatStatus(id) {
+    return this.app.getStatus(id)?.name || id || '—';
+  }
+
+  formatAssignee(handle) {
+    return this.app.getAssignee({ assignee: handle })?.name || 'Unassigned';
+  }
+
+  formatEpic(id) {
+    if (!id) return 'None';
+    return this.app.epics.find(e => e.id === id)?.name || `Epic ${id}`;
+  }
+
+  formatSprint(id) {
+    if (!id) return 'Backlog';
+    return this.app.sprints.find(s => s.id === id)?.name || `Sprint ${id}`;
+  }
+
   hide() {
     document.getElementById('taskModal').classList.remove('active');
   }
@@ -48,26 +518,63 @@ export class TaskModal {
 
     const id = document.getElementById('taskId').value;
     const sprintValue = document.getElementById('taskSprint').value;
+    const fields = this.readCustomFields();
+    if (!fields) return;
+
+    const parent = this.readParent(id ? parseInt(id) : null);
+    if (parent.error) {
+      const input = document.getElementById('taskParent');
+      input.setCustomValidity(parent.error);
+      input.reportValidity();
+      return;
+    }
     
     const data = {
       title: document.getElementById('taskTitle').value,
       priority: document.getElementById('taskPriority').value,
       storyPoints: parseInt(document.getElementById('taskPoints').value) || 0,
+      assignee: document.getElementById('taskAssignee').value || null,
+      // Include a label that was typed but not confirmed yet
+      labels: normalizeTaskLabels([...this.labels, ...document.getElementById('taskLabelInput').value.split(',')]),
       body: document.getElementById('taskBody').value,
-      sprint: sprintValue ? parseInt(sprintValue) : null
+      sprint: sprintValue ? parseInt(sprintValue) : null,
+      parent: parent.value,
+      epic: parseInt(document.getElementById('taskEpic').value) || null,
+      ...this.links
     };
 
     if (id) {
       const task = this.app.tasks.find(t => t.id === parseInt(id));
       if (task) {
-        Object.assign(task, data);
-        await taskService.updateTask(task);
+        // Save a copy, so the cached task is untouched if the save is cancelled
+        const updated = { ...task, ...data, fileState: this.fileState };
+        for (const [key, value] of Object.entries(fields)) {
+          if (value === null) delete updated[key];
+          else updated[key] = value;
+        }
+        try {
+          await taskService.updateTask(updated);
+        } catch (err) {
+          // Cancelled in the conflict dialog: keep the form open
+          if (err instanceof SaveCancelledError) return;
+          throw err;
+        }
       }
     } else {
+      data.status = this.app.statuses[0].id;
+      data.fields = fields;
       await taskService.createTask(data, () => this.app.getNextTaskId());
     }
 
     this.hide();
-    await this.app.loadAllData();
+    this.app.refresh();
   }
 }
+
+function formatDuration(ms) {
+  const hours = Math.round(ms / 3600000);
+  if (hours < 24) return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+
+  const days = Math.round(hours / 24);
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+}
@@ -0,0 +1,86 @@
+/**
+ * ViewModal - Create, edit and delete saved views
+ */
+
+import { parseQuery, QueryError } from '../services/searchQuery.js';
+
+export class ViewModal {
+  constructor(app) {
+    this.app = app;
+    this.view = null;
+  }
+
+  init() {
+    document.getElementById('closeViewModal').addEventListener('click', () => this.hide());
+    document.getElementById('cancelViewBtn').addEventListener('click', () => this.hide());
+    document.getElementById('deleteViewBtn').addEventListener('click', () => this.deleteView());
+    document.getElementById('viewForm').addEventListener('submit', (e) => this.handleSubmit(e));
+    document.getElementById('viewQuery').addEventListener('input', () => this.validateQuery());
+  }
+
+  /**
+   * @param {Object|null} view - View to edit, or null to create one
+   * @param {string} query - Filter for a new view, e.g. the current search
+   */
+  show(view = null, query = '') {
+    this.view = view;
+    document.getElementById('viewModalTitle').textContent = view ? `Edit ${view.name}` : 'New View';
+    document.getElementById('saveViewBtn').textContent = view ? 'Save View' : 'Create View';
+    document.getElementById('deleteViewBtn').style.display = view ? '' : 'none';
+    document.getElementById('viewName').value = view ? view.name : '';
+    document.getElementById('viewQuery').value = view ? view.query : query;
+    document.getElementById('viewLayout').value = view ? view.layout : 'list';
+    this.validateQuery();
+
+    document.getElementById('viewModal').classList.add('active');
+    document.getElementById('viewName').focus();
+  }
+
+  hide() {
+    document.getElementById('viewModal').classList.remove('active');
+  }
+
+  /**
+   * Check the filter as it is typed
+   * @returns {boolean} Whether the filter parses
+   */
+  validateQuery() {
+    const hint = document.getElementById('viewQueryHint');
+    try {
+      parseQuery(document.getElementById('viewQuery').value, this.app.fields);
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      hint.textContent = err.message;
+      hint.classList.add('error');
+      return false;
+    }
+
+    hint.textContent = 'Same syntax as the search, leave empty to list every task';
+    hint.classList.remove('error');
+    return true;
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (!this.validateQuery()) {
+      document.getElementById('viewQuery').focus();
+      return;
+    }
+
+    const data = {
+      name: document.getElementById('viewName').value.trim(),
+      query: document.getElementById('viewQuery').value.trim(),
+      layout: document.getElementById('viewLayout').value
+    };
+
+    this.hide();
+    await this.app.saveView(this.view ? { ...this.view, ...data } : data);
+  }
+
+  async deleteView() {
+    if (!confirm(`Delete the view "${this.view.name}"? Tasks are not affected.`)) return;
+
+    this.hide();
+    await this.app.deleteView(this.view.id);
+  }
+}
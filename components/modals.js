@@ -5,6 +5,12 @@
 import { TaskModal } from './TaskModal.js';
 import { SprintModal } from './SprintModal.js';
 import { BacklogPicker } from './BacklogPicker.js';
+import { ConflictDialog } from './ConflictDialog.js';
+import { RenumberDialog } from './RenumberDialog.js';
+import { SprintCompletionDialog } from './SprintCompletionDialog.js';
+import { SprintDeleteDialog } from './SprintDeleteDialog.js';
+import { ViewModal } from './ViewModal.js';
+import { EpicModal } from './EpicModal.js';
 
 export class ModalsController {
   constructor(app) {
@@ -12,15 +18,27 @@ export class ModalsController {
     this.taskModal = new TaskModal(app);
     this.sprintModal = new SprintModal(app);
     this.backlogPicker = new BacklogPicker(app);
+    this.conflictDialog = new ConflictDialog(app);
+    this.renumberDialog = new RenumberDialog(app);
+    this.sprintCompletionDialog = new SprintCompletionDialog(app);
+    this.sprintDeleteDialog = new SprintDeleteDialog(app);
+    this.viewModal = new ViewModal(app);
+    this.epicModal = new EpicModal(app);
   }
 
   init() {
     this.taskModal.init();
     this.sprintModal.init();
     this.backlogPicker.init();
+    this.conflictDialog.init();
+    this.renumberDialog.init();
+    this.sprintCompletionDialog.init();
+    this.sprintDeleteDialog.init();
+    this.viewModal.init();
+    this.epicModal.init();
 
-    // Close modals on overlay click
-    document.querySelectorAll('.modal-overlay').forEach(overlay => {
+    // Close modals on overlay click (persistent modals need an explicit choice)
+    document.querySelectorAll('.modal-overlay:not([data-persistent])').forEach(overlay => {
       overlay.addEventListener('click', (e) => {
         if (e.target === overlay) {
           overlay.classList.remove('active');
@@ -30,15 +48,39 @@ export class ModalsController {
   }
 
   // Delegate to specific modals
-  showTaskModal(task = null) {
-    this.taskModal.show(task);
+  showTaskModal(task = null, defaults = {}) {
+    this.taskModal.show(task, defaults);
   }
 
-  showSprintModal() {
-    this.sprintModal.show();
+  showSprintModal(sprint = null) {
+    this.sprintModal.show(sprint);
+  }
+
+  showEpicModal(epic = null) {
+    this.epicModal.show(epic);
+  }
+
+  showViewModal(view = null, query = '') {
+    this.viewModal.show(view, query);
   }
 
   showBacklogPicker() {
     this.backlogPicker.show();
   }
+
+  showRenumberDialog() {
+    this.renumberDialog.show();
+  }
+
+  showConflictDialog(conflict) {
+    return this.conflictDialog.show(conflict);
+  }
+
+  showSprintDeleteDialog(sprint) {
+    return this.sprintDeleteDialog.show(sprint);
+  }
+
+  showSprintCompletion(sprint, nextSprint = null) {
+    return this.sprintCompletionDialog.show(sprint, nextSprint);
+  }
 }
@@ -1,12 +1,29 @@
 /**
- * SearchController - Fuzzy search functionality
+ * SearchController - Full-text task search with field filters
  */
 
+import crossProjectService from '../services/crossProjectService.js';
+import searchIndex, { SearchIndex, getSnippet, findWordRanges, tokenize, createTextMatcher } from '../services/searchIndex.js';
+import { parseQuery, evaluateQuery, createQueryContext, getTextTerms, QueryError } from '../services/searchQuery.js';
+
+// Results rendered at a time, more are added while scrolling
+const PAGE_SIZE = 50;
+
+// Score for a title that only matches fuzzily, below any indexed word match
+const FUZZY_MATCH_SCORE = 1;
+
 export class SearchController {
   constructor(app) {
     this.app = app;
     this.searchSelectedIndex = 0;
     this.searchResults = [];
+    this.visibleCount = PAGE_SIZE;
+    this.searchTerms = [];
+    this.searchRun = 0;
+    this.allProjects = false;
+
+    // Indexes of other projects, by project id
+    this.projectIndexes = new Map();
   }
 
   init() {
@@ -15,6 +32,31 @@ export class SearchController {
       this.performSearch(e.target.value);
     });
 
+    // Search every recent project instead of the open one
+    document.getElementById('searchAllProjects').addEventListener('change', async (e) => {
+      this.allProjects = e.target.checked;
+      if (this.allProjects) {
+        await crossProjectService.loadAll(this.app.getProjectData(), true);
+      }
+      this.performSearch(document.getElementById('searchInput').value);
+      document.getElementById('searchInput').focus();
+    });
+
+    // Keep the current query as a saved view in the sidebar
+    document.getElementById('saveSearchBtn').addEventListener('click', () => {
+      const query = document.getElementById('searchInput').value.trim();
+      this.hide();
+      this.app.modals.showViewModal(null, query);
+    });
+
+    // Render the next page when scrolled near the end
+    document.getElementById('searchResults').addEventListener('scroll', (e) => {
+      const list = e.target;
+      if (list.scrollTop + list.clientHeight >= list.scrollHeight - 40) {
+        this.showMore();
+      }
+    });
+
     // Close on overlay click
     document.getElementById('searchModal').addEventListener('click', (e) => {
       if (e.target.id === 'searchModal') {
@@ -148,31 +190,143 @@ export class SearchController {
     return result;
   }
 
-  performSearch(query) {
-    if (!query.trim()) {
-      // Show all tasks when no query
-      this.searchResults = this.app.tasks.slice(0, 10).map(task => ({
-        task,
-        highlighted: this.app.escapeHtml(task.title),
-        score: 0
-      }));
-    } else {
-      // Fuzzy search
-      this.searchResults = this.app.tasks
-        .map(task => {
-          const result = this.fuzzyMatch(task.title, query);
-          return {
-            task,
-            highlighted: this.highlightMatches(task.title, result.matches),
-            score: result.score
-          };
-        })
-        .filter(r => r.score >= 0)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 10);
+  /**
+   * Tasks to search, each with the project snapshot it came from when
+   * searching across projects
+   */
+  getCandidates() {
+    if (!this.allProjects) {
+      return this.app.tasks.map(task => ({ task, snapshot: null }));
     }
-    
+
+    crossProjectService.updateCurrent(this.app.getProjectData());
+    return crossProjectService.getSnapshots()
+      .flatMap(snapshot => snapshot.tasks.map(task => ({ task, snapshot })));
+  }
+
+  /**
+   * Index for a task's project, kept in sync with the snapshot's tasks
+   * @param {Object|null} snapshot - Project snapshot, null for the open project
+   * @returns {SearchIndex}
+   */
+  getIndex(snapshot) {
+    if (!snapshot || snapshot.project.id === this.app.project?.id) {
+      return searchIndex;
+    }
+
+    if (!this.projectIndexes.has(snapshot.project.id)) {
+      this.projectIndexes.set(snapshot.project.id, new SearchIndex());
+    }
+    const index = this.projectIndexes.get(snapshot.project.id);
+    index.sync(snapshot.tasks);
+    return index;
+  }
+
+  /**
+   * Free-text matcher for a project's tasks: indexed words first, then a fuzzy
+   * title match. Saved views use it too, so they list what the search did.
+   * @param {SearchIndex} index - Index of the project's tasks
+   * @returns {Function} (task, text, phrase) => score, or null if the text isn't found
+   */
+  createTextMatcher(index) {
+    // Index lookups are shared by every task of the project
+    const matchIndexed = createTextMatcher(index);
+    return (task, text, phrase = false) => {
+      const score = matchIndexed(task, text, phrase);
+      // A quoted phrase is exact, it has no fuzzy fallback
+      if (score !== null || phrase) return score;
+      return this.fuzzyMatch(task.title, text).score >= 0 ? FUZZY_MATCH_SCORE : null;
+    };
+  }
+
+  /**
+   * Highlight the title words matched by any free-text term, falling back to fuzzy matches
+   */
+  highlightTitle(title, terms) {
+    const words = terms.flatMap(tokenize);
+    let matches = toIndices(findWordRanges(title, words));
+
+    if (matches.length === 0) {
+      const fuzzy = new Set();
+      for (const term of terms) {
+        const result = this.fuzzyMatch(title, term);
+        if (result.score >= 0) result.matches.forEach(i => fuzzy.add(i));
+      }
+      matches = [...fuzzy].sort((a, b) => a - b);
+    }
+
+    return this.highlightMatches(title, matches);
+  }
+
+  async performSearch(query) {
+    // A newer search may finish first while this one waits for indexing
+    const run = ++this.searchRun;
+
+    let root;
+    try {
+      root = parseQuery(query, this.app.fields);
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      this.searchResults = [];
+      this.renderError(err);
+      document.getElementById('saveSearchBtn').disabled = true;
+      return;
+    }
+    this.renderError(null);
+    document.getElementById('saveSearchBtn').disabled = !root;
+
+    const candidates = this.getCandidates();
+    const snapshots = [...new Set(candidates.map(c => c.snapshot))];
+    const indexes = new Map(snapshots.map(snapshot => [snapshot, this.getIndex(snapshot)]));
+
+    if ([...indexes.values()].some(index => index.isIndexing())) {
+      document.getElementById('searchResults').innerHTML = '<div class="search-results-empty">Indexing tasks…</div>';
+    }
+    await Promise.all([...indexes.values()].map(index => index.whenReady()));
+    if (run !== this.searchRun) return;
+
+    const terms = getTextTerms(root);
+    const now = new Date();
+    const contexts = new Map(snapshots.map(snapshot => {
+      const matchText = this.createTextMatcher(indexes.get(snapshot));
+      // Statuses, sprints and members differ between projects
+      return [snapshot, createQueryContext(snapshot || this.app.getProjectData(), matchText, now)];
+    }));
+
+    const results = [];
+    for (const { task, snapshot } of candidates) {
+      const score = evaluateQuery(root, task, contexts.get(snapshot));
+      if (score !== null) results.push({ task, snapshot, score });
+    }
+
+    // Without free text every match scores the same, so file order is kept
+    this.searchResults = terms.length > 0 ? results.sort((a, b) => b.score - a.score) : results;
+    this.searchTerms = terms;
     this.searchSelectedIndex = 0;
+    this.visibleCount = PAGE_SIZE;
+    this.renderResults();
+    document.getElementById('searchResults').scrollTop = 0;
+  }
+
+  /**
+   * Show why a query couldn't be parsed, or clear the message
+   * @param {QueryError|null} err - Parse error
+   */
+  renderError(err) {
+    const element = document.getElementById('searchError');
+    if (!err) {
+      element.style.display = 'none';
+      return;
+    }
+
+    element.textContent = `${err.message} (at character ${err.position + 1})`;
+    element.style.display = '';
+    document.getElementById('searchResults').innerHTML = '';
+  }
+
+  showMore() {
+    if (this.visibleCount >= this.searchResults.length) return;
+    this.visibleCount += PAGE_SIZE;
     this.renderResults();
   }
 
@@ -183,12 +337,29 @@ export class SearchController {
       container.innerHTML = '<div class="search-results-empty">No tasks found</div>';
       return;
     }
+
+    const visible = this.searchResults.slice(0, this.visibleCount);
+    const more = this.searchResults.length > visible.length
+      ? `<div class="search-results-more">Showing ${visible.length} of ${this.searchResults.length}, scroll for more</div>`
+      : '';
     
-    container.innerHTML = this.searchResults.map((result, idx) => {
+    container.innerHTML = visible.map((result, idx) => {
       const task = result.task;
-      const sprint = task.sprint ? this.app.sprints.find(s => s.id === task.sprint) : null;
+      // Highlighting is done for rendered results only
+      if (!result.highlighted) {
+        result.highlighted = this.highlightTitle(task.title, this.searchTerms);
+        result.snippet = getSnippet(task.body, this.searchTerms);
+      }
+      const snippet = result.snippet
+        ? `<div class="search-result-snippet">${this.highlightMatches(result.snippet.text, toIndices(result.snippet.ranges))}</div>`
+        : '';
+      const sprints = result.snapshot ? result.snapshot.sprints : this.app.sprints;
+      const sprint = task.sprint ? sprints.find(s => s.id === task.sprint) : null;
       const location = sprint ? sprint.name : 'Backlog';
       const badgeClass = sprint ? 'sprint' : 'backlog';
+      const project = result.snapshot
+        ? `<span class="search-result-badge project">${this.app.escapeHtml(result.snapshot.project.name)}</span>`
+        : '';
       
       return `
         <div class="search-result-item ${idx === this.searchSelectedIndex ? 'selected' : ''}" 
@@ -196,15 +367,17 @@ export class SearchController {
           <span class="search-result-icon">📋</span>
           <div class="search-result-content">
             <div class="search-result-title">${result.highlighted}</div>
+            ${snippet}
             <div class="search-result-meta">
               <span class="task-id">#${task.id}</span>
               <span class="task-priority ${task.priority}">${task.priority}</span>
-              <span class="search-result-badge ${badgeClass}">${location}</span>
+              ${project}
+              <span class="search-result-badge ${badgeClass}">${this.app.escapeHtml(location)}</span>
             </div>
           </div>
         </div>
       `;
-    }).join('');
+    }).join('') + more;
     
     // Bind click events
     container.querySelectorAll('.search-result-item').forEach(item => {
@@ -217,8 +390,14 @@ export class SearchController {
 
   navigateResults(direction) {
     if (this.searchResults.length === 0) return;
-    
-    this.searchSelectedIndex = (this.searchSelectedIndex + direction + this.searchResults.length) % this.searchResults.length;
+
+    // Moving past the last rendered result loads the next page, otherwise wrap around
+    const next = this.searchSelectedIndex + direction;
+    if (next >= this.visibleCount && next < this.searchResults.length) {
+      this.visibleCount += PAGE_SIZE;
+    }
+    const count = Math.min(this.visibleCount, this.searchResults.length);
+    this.searchSelectedIndex = (next + count) % count;
     this.renderResults();
     
     // Scroll selected into view
@@ -236,6 +415,12 @@ export class SearchController {
     
     const task = result.task;
     this.hide();
+
+    // Results from another project switch to it first
+    if (result.snapshot && result.snapshot.project.id !== this.app.project?.id) {
+      this.app.openProjectTask(result.snapshot.project, task.id);
+      return;
+    }
     
     // Navigate to the task's location and open edit modal
     if (task.sprint) {
@@ -248,3 +433,8 @@ export class SearchController {
     this.app.modals.showTaskModal(task);
   }
 }
+
+// Expand [start, end) ranges into the character indices highlightMatches expects
+function toIndices(ranges) {
+  return ranges.flatMap(([start, end]) => Array.from({ length: end - start }, (_, i) => start + i));
+}
@@ -3,6 +3,13 @@
  */
 
 import taskService from '../services/taskService.js';
+import { SaveCancelledError } from '../services/conflictService.js';
+import { planMove } from '../services/ranking.js';
+import { getFieldValue, getFieldProblems, formatFieldValue } from '../services/customFields.js';
+import { getChecklistProgress } from '../services/checklist.js';
+import { getParentId, getRollup, getSubtasks } from '../services/subtasks.js';
+import { getOpenBlockers, findLinksTo, removeLinksTo } from '../services/taskLinks.js';
+import { getEpicColor } from '../services/epicService.js';
 
 export class TaskCardRenderer {
   constructor(app) {
@@ -13,18 +20,38 @@ export class TaskCardRenderer {
    * Render a single task card
    */
   render(task) {
+    const selected = this.app.selectedTaskIds.has(task.id) ? 'selected' : '';
+    const labels = (task.labels || []).length > 0
+      ? `<div class="task-labels">${task.labels.map(name => this.app.renderLabel(name)).join('')}</div>`
+      : '';
+    // Epic colour stripe down the left edge
+    const epic = this.app.getEpic(task);
+    const epicStyle = epic
+      ? `style="--epic-color: ${this.app.escapeAttr(getEpicColor(epic))}"`
+      : '';
+    const hint = epic ? `Epic: ${epic.name} · Alt+↑/↓ to reorder` : 'Alt+↑/↓ to reorder';
+
     return `
-      <div class="task-card" draggable="true" data-task-id="${task.id}">
+      <div class="task-card ${selected} ${epic ? 'has-epic' : ''}" draggable="true" tabindex="0" data-task-id="${task.id}"
+           ${epicStyle} title="${this.app.escapeAttr(hint)}">
         <div class="task-card-header">
           <span class="task-id">#${task.id}</span>
+          ${this.renderParent(task)}
+          ${this.renderBlocked(task)}
           <span class="task-priority ${task.priority}">${task.priority}</span>
         </div>
         <div class="task-title">${this.app.escapeHtml(task.title)}</div>
+        ${labels}
+        ${this.renderFields(task)}
         <div class="task-footer">
           <span class="task-points">
             ${task.storyPoints > 0 ? `🎯 ${task.storyPoints} pts` : ''}
+            ${this.renderProgress(task)}
           </span>
+          ${task.assignee ? this.app.renderAvatar(this.app.getAssignee(task)) : ''}
           <div class="task-actions">
+            <button class="task-action-btn move-task" data-move="top" title="Move to top">⤒</button>
+            <button class="task-action-btn move-task" data-move="bottom" title="Move to bottom">⤓</button>
             <button class="task-action-btn edit-task" data-task-id="${task.id}">Edit</button>
             <button class="task-action-btn delete delete-task" data-task-id="${task.id}">Delete</button>
           </div>
@@ -33,10 +60,87 @@ export class TaskCardRenderer {
     `;
   }
 
+  /**
+   * Link from a subtask to its parent
+   */
+  renderParent(task) {
+    const parentId = getParentId(task);
+    const parent = parentId !== null ? this.app.tasks.find(t => t.id === parentId) : null;
+    if (!parent) return '';
+    return `<span class="task-parent" title="Subtask of #${parent.id} ${this.app.escapeAttr(parent.title)}">↳ #${parent.id}</span>`;
+  }
+
+  /**
+   * Badge for a task waiting on blockers that aren't done
+   */
+  renderBlocked(task) {
+    const blockers = getOpenBlockers(task, this.app.tasks, status => this.app.isDoneStatus(status));
+    if (blockers.length === 0) return '';
+
+    const title = `Blocked by ${blockers.map(t => `#${t.id} ${t.title}`).join(', ')}`;
+    return `<span class="task-blocked" title="${this.app.escapeAttr(title)}">Blocked</span>`;
+  }
+
+  /**
+   * Checklist progress from the description, and the rollup of subtasks on a parent
+   */
+  renderProgress(task) {
+    const parts = [];
+
+    const checklist = getChecklistProgress(task.body);
+    if (checklist) {
+      const complete = checklist.done === checklist.total ? 'complete' : '';
+      parts.push(`<span class="task-progress ${complete}" title="Checklist">☑ ${checklist.done}/${checklist.total}</span>`);
+    }
+
+    const rollup = getRollup(this.app.getSubtasks(task), status => this.app.isDoneStatus(status));
+    if (rollup) {
+      const complete = rollup.done === rollup.total ? 'complete' : '';
+      const title = `Subtasks: ${rollup.done} of ${rollup.total} done, ${rollup.donePoints} of ${rollup.points} points`;
+      parts.push(`<span class="task-progress ${complete}" title="${title}">⧉ ${rollup.done}/${rollup.total} · ${rollup.points} pts</span>`);
+    }
+
+    return parts.join('');
+  }
+
+  /**
+   * Custom field values shown on the card, and warnings for values that don't fit the schema
+   */
+  renderFields(task) {
+    const esc = value => this.app.escapeHtml(String(value));
+    const chips = this.app.fields
+      .filter(field => field.card && getFieldValue(task, field) !== null)
+      .map(field => `
+        <span class="field-chip" title="${this.app.escapeAttr(field.name)}">
+          ${esc(field.name)}: <strong>${esc(formatFieldValue(field, getFieldValue(task, field)))}</strong>
+        </span>
+      `);
+
+    for (const { field, value, message } of getFieldProblems(task, this.app.fields)) {
+      const text = typeof value === 'object' ? JSON.stringify(value) : value;
+      chips.push(`
+        <span class="field-chip invalid" title="${this.app.escapeAttr(`${field.name}: ${text} is ${message}`)}">
+          ⚠ ${esc(field.name)}
+        </span>
+      `);
+    }
+
+    return chips.length > 0 ? `<div class="task-fields">${chips.join('')}</div>` : '';
+  }
+
   /**
    * Bind events to task cards in a container
    */
   bindEvents(container) {
+    // Ctrl/Cmd+click selects cards for bulk actions
+    container.querySelectorAll('.task-card').forEach(card => {
+      card.addEventListener('click', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        e.preventDefault();
+        this.app.toggleTaskSelection(parseInt(card.dataset.taskId));
+      });
+    });
+
     // Edit buttons
     container.querySelectorAll('.edit-task').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -46,6 +150,33 @@ export class TaskCardRenderer {
       });
     });
 
+    // Move to top / bottom of the list the card is in
+    container.querySelectorAll('.move-task').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const card = btn.closest('.task-card');
+        await this.moveWithinList(card, btn.dataset.move === 'top' ? -Infinity : Infinity);
+      });
+    });
+
+    // Keyboard reordering: Alt+Up/Down by one, Alt+Home/End to the ends
+    container.querySelectorAll('.task-card').forEach(card => {
+      card.addEventListener('keydown', async (e) => {
+        if (e.target !== card) return;
+
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.editTask(parseInt(card.dataset.taskId));
+          return;
+        }
+
+        const offsets = { ArrowUp: -1, ArrowDown: 1, Home: -Infinity, End: Infinity };
+        if (!e.altKey || !(e.key in offsets)) return;
+        e.preventDefault();
+        await this.moveWithinList(card, offsets[e.key]);
+      });
+    });
+
     // Delete buttons
     container.querySelectorAll('.delete-task').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -61,41 +192,266 @@ export class TaskCardRenderer {
    */
   setupDragAndDrop(container) {
     container.querySelectorAll('.task-card').forEach(card => {
-      card.addEventListener('dragstart', () => {
+      card.addEventListener('dragstart', (e) => {
         const id = parseInt(card.dataset.taskId);
         this.app.draggedTask = this.app.tasks.find(t => t.id === id);
-        card.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', `#${id}`);
+
+        // Dragging a selected card takes the whole selection along
+        const ids = this.app.getDraggedTasks().map(task => task.id);
+        ids.forEach(taskId => {
+          document.querySelectorAll(`.task-card[data-task-id="${taskId}"]`).forEach(el => el.classList.add('dragging'));
+        });
       });
 
       card.addEventListener('dragend', () => {
-        card.classList.remove('dragging');
+        document.querySelectorAll('.task-card.dragging').forEach(el => el.classList.remove('dragging'));
         this.app.draggedTask = null;
+        document.querySelectorAll('.drop-indicator').forEach(el => el.remove());
       });
     });
   }
 
+  /**
+   * Make a list of cards a drop target that reorders the tasks in it
+   * (bind once per container element)
+   * @param {Element} container - Element holding the cards
+   * @param {Object} changes - Fields set on tasks dropped here, e.g. { sprint: null } for the backlog
+   */
+  setupListDragAndDrop(container, changes = {}) {
+    container.addEventListener('dragover', (e) => {
+      if (!this.app.draggedTask) return;
+      e.preventDefault();
+      this.showDropIndicator(container, this.getDropIndex(container, e.clientY));
+    });
+
+    container.addEventListener('dragleave', (e) => {
+      if (!container.contains(e.relatedTarget)) this.hideDropIndicator(container);
+    });
+
+    container.addEventListener('drop', async (e) => {
+      const tasks = this.app.getDraggedTasks();
+      if (tasks.length === 0) return;
+      e.preventDefault();
+      this.hideDropIndicator(container);
+
+      const index = this.getDropIndex(container, e.clientY);
+      if (tasks.length === 1 && this.isSamePosition(container, tasks[0], index)) return;
+      await this.placeTasks(tasks, this.getListTasks(container, tasks), index, changes);
+    });
+  }
+
   /**
    * Setup drag and drop for kanban columns
+   * @param {string|null} assignee - Swimlane's assignee, undefined when the board has no swimlanes
    */
-  setupColumnDragAndDrop(container, status) {
+  setupColumnDragAndDrop(container, status, assignee = undefined) {
     container.addEventListener('dragover', (e) => {
       e.preventDefault();
       container.classList.add('drag-over');
+      this.showDropIndicator(container, this.getDropIndex(container, e.clientY));
     });
 
-    container.addEventListener('dragleave', () => {
+    container.addEventListener('dragleave', (e) => {
+      if (container.contains(e.relatedTarget)) return;
       container.classList.remove('drag-over');
+      this.hideDropIndicator(container);
     });
 
     container.addEventListener('drop', async (e) => {
       e.preventDefault();
       container.classList.remove('drag-over');
+      this.hideDropIndicator(container);
       
-      if (this.app.draggedTask && this.app.draggedTask.status !== status) {
-        await taskService.updateStatus(this.app.draggedTask, status);
-        await this.app.loadAllData();
+      const tasks = this.app.getDraggedTasks();
+      if (tasks.length === 0) return;
+
+      // Dropping into another swimlane also reassigns the tasks
+      const reassign = assignee !== undefined &&
+        tasks.some(task => (this.app.getAssignee(task)?.handle ?? null) !== assignee);
+      const statusChange = tasks.find(task => task.status !== status);
+      const index = this.getDropIndex(container, e.clientY);
+      if (!statusChange && !reassign && tasks.length === 1 && this.isSamePosition(container, tasks[0], index)) return;
+      if (statusChange && !this.confirmWipLimit(statusChange, status)) return;
+      if (statusChange && !this.confirmBlocked(tasks, status)) return;
+
+      const changes = { status };
+      if (reassign) changes.assignee = assignee;
+      await this.placeTasks(tasks, this.getListTasks(container, tasks), index, changes);
+    });
+  }
+
+  /**
+   * Let tasks be dropped onto a sidebar entry to move them to a sprint or the backlog
+   * @param {Element} element - Sidebar entry
+   * @param {number|null} sprintId - Sprint ID, or null for the backlog
+   */
+  setupSprintDropTarget(element, sprintId) {
+    const movable = () => this.app.getDraggedTasks().filter(task => task.sprint !== sprintId);
+
+    element.addEventListener('dragover', (e) => {
+      if (movable().length === 0) return;
+      e.preventDefault();
+      element.classList.add('drop-target');
+    });
+
+    element.addEventListener('dragleave', (e) => {
+      if (!element.contains(e.relatedTarget)) element.classList.remove('drop-target');
+    });
+
+    element.addEventListener('drop', async (e) => {
+      element.classList.remove('drop-target');
+      const tasks = movable();
+      if (tasks.length === 0) return;
+      e.preventDefault();
+
+      try {
+        for (const task of tasks) {
+          await taskService.moveToSprint(task, sprintId);
+        }
+      } catch (err) {
+        if (!(err instanceof SaveCancelledError)) throw err;
+        this.app.refresh();
+        return;
       }
+
+      const sprint = this.app.sprints.find(s => s.id === sprintId);
+      const target = sprint ? sprint.name : 'the backlog';
+      this.app.showNotice(`Moved ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'} to ${target}`);
+      this.app.clearSelection();
+      this.app.refresh();
+    });
+  }
+
+  /**
+   * Tasks of the cards in a container, in display order
+   * @param {Element} container - Element holding the cards
+   * @param {Object[]} exclude - Tasks to leave out, usually the ones being moved
+   * @returns {Object[]}
+   */
+  getListTasks(container, exclude = []) {
+    return [...container.querySelectorAll('.task-card')]
+      .map(card => this.app.tasks.find(t => t.id === parseInt(card.dataset.taskId)))
+      .filter(task => task && !exclude.includes(task));
+  }
+
+  /**
+   * Position among the cards not being dragged that a drop at a given height lands on
+   */
+  getDropIndex(container, y) {
+    const cards = [...container.querySelectorAll('.task-card:not(.dragging)')];
+    const index = cards.findIndex(card => {
+      const box = card.getBoundingClientRect();
+      return y < box.top + box.height / 2;
     });
+    return index === -1 ? cards.length : index;
+  }
+
+  isSamePosition(container, task, index) {
+    const ids = [...container.querySelectorAll('.task-card')].map(card => parseInt(card.dataset.taskId));
+    return ids.indexOf(task.id) === index;
+  }
+
+  showDropIndicator(container, index) {
+    let indicator = container.querySelector(':scope > .drop-indicator');
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.className = 'drop-indicator';
+    }
+
+    const cards = [...container.querySelectorAll(':scope > .task-card:not(.dragging)')];
+    container.insertBefore(indicator, cards[index] || null);
+  }
+
+  hideDropIndicator(container) {
+    container.querySelector(':scope > .drop-indicator')?.remove();
+  }
+
+  /**
+   * Move a card up or down within its list
+   * @param {Element} card - Card element
+   * @param {number} offset - Positions to move, ±Infinity for the ends
+   */
+  async moveWithinList(card, offset) {
+    const container = card.parentElement;
+    const task = this.app.tasks.find(t => t.id === parseInt(card.dataset.taskId));
+    if (!task) return;
+
+    const others = this.getListTasks(container, [task]);
+    const current = [...container.querySelectorAll('.task-card')].indexOf(card);
+    const index = Math.max(0, Math.min(others.length, current + offset));
+    if (index === current) return;
+
+    await this.placeTasks([task], others, index);
+    document.querySelector(`.task-card[data-task-id="${task.id}"]`)?.focus();
+  }
+
+  /**
+   * Save tasks at a position in a list, keeping their order, along with other changes
+   * @param {Object[]} tasks - Tasks being moved
+   * @param {Object[]} ordered - The list's tasks in display order, without the moved tasks
+   * @param {number} index - Position to insert at
+   * @param {Object} changes - Other fields to set, like status
+   */
+  async placeTasks(tasks, ordered, index, changes = {}) {
+    const list = [...ordered];
+
+    try {
+      for (const [i, task] of tasks.entries()) {
+        const { rank, updates } = planMove(list, index + i);
+
+        // Tasks that were never ranked get a rank first so the position can be expressed
+        for (const update of updates) {
+          await taskService.saveChanges(update.task, { rank: update.rank });
+        }
+
+        await taskService.saveChanges(task, { ...changes, rank });
+        list.splice(index + i, 0, task);
+      }
+    } catch (err) {
+      // The tasks saved so far keep their place; the rest stay where they were
+      if (!(err instanceof SaveCancelledError)) throw err;
+    }
+
+    if (tasks.length > 1) this.app.clearSelection();
+    this.app.refresh();
+  }
+
+  /**
+   * Ask before moving a task into a column that is at its WIP limit
+   * @returns {boolean} Whether the move should go ahead
+   */
+  confirmWipLimit(task, status) {
+    const config = this.app.getStatus(status);
+    if (!config?.wipLimit) return true;
+
+    const count = this.app.tasks.filter(t => t.sprint === task.sprint && t.status === status).length;
+    if (count < config.wipLimit) return true;
+
+    return confirm(`"${config.name}" is at its WIP limit of ${config.wipLimit}. Move the task anyway?`);
+  }
+
+  /**
+   * Ask before starting (or finishing) tasks whose blockers aren't done
+   * @returns {boolean} Whether the move should go ahead
+   */
+  confirmBlocked(tasks, status) {
+    // Moving back to the first column is never a problem
+    if (status === this.app.statuses[0].id) return true;
+
+    const isDone = id => this.app.isDoneStatus(id);
+    const blocked = tasks
+      .filter(task => task.status !== status)
+      .map(task => ({ task, blockers: getOpenBlockers(task, this.app.tasks, isDone) }))
+      .filter(({ blockers }) => blockers.length > 0);
+    if (blocked.length === 0) return true;
+
+    const lines = blocked.map(({ task, blockers }) =>
+      `#${task.id} is blocked by ${blockers.map(t => `#${t.id} ${t.title}`).join(', ')}`
+    );
+    const name = this.app.getStatus(status)?.name || status;
+    return confirm(`${lines.join('\n')}\n\nMove to "${name}" anyway?`);
   }
 
   editTask(id) {
@@ -111,7 +467,40 @@ export class TaskCardRenderer {
     const task = this.app.tasks.find(t => t.id === id);
     if (task) {
       await taskService.deleteTask(task);
-      await this.app.loadAllData();
+      await this.removeLinksToTask(id);
+      this.app.refresh();
+    }
+  }
+
+  /**
+   * Offer to clear links and parent references to a deleted task
+   */
+  async removeLinksToTask(id) {
+    // Another file may still use the ID (duplicates after a merge)
+    const tasks = taskService.getCachedTasks();
+    if (tasks.some(t => t.id === id)) return;
+
+    const linking = findLinksTo(tasks, id);
+    const children = getSubtasks(tasks, id);
+    const count = new Set([...linking, ...children]).size;
+    if (count === 0) return;
+
+    const what = [
+      linking.length > 0 ? `${linking.length} ${linking.length === 1 ? 'task links' : 'tasks link'} to #${id}` : '',
+      children.length > 0 ? `${children.length} ${children.length === 1 ? 'is a subtask' : 'are subtasks'} of it` : ''
+    ].filter(Boolean).join(' and ');
+    if (!confirm(`${what}. Remove those references too?`)) return;
+
+    for (const task of new Set([...linking, ...children])) {
+      const changes = { ...task };
+      removeLinksTo(changes, id);
+      if (getParentId(task) === id) changes.parent = null;
+      try {
+        await taskService.saveChanges(task, changes);
+      } catch (err) {
+        if (err instanceof SaveCancelledError) return;
+        throw err;
+      }
     }
   }
 }
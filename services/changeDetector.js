@@ -0,0 +1,131 @@
+/**
+ * ChangeDetector - Polls project folders for files edited outside the app
+ */
+
+import fileSystemService from './fileSystemService.js';
+
+const POLL_INTERVAL = 3000;
+
+/**
+ * Build a comparable signature from a file's modification time and size
+ */
+function signature({ lastModified, size }) {
+  return `${lastModified}:${size}`;
+}
+
+class ChangeDetector {
+  constructor() {
+    this.subdirs = [];
+    this.snapshots = new Map();
+    this.ownWrites = new Map();
+    this.callback = null;
+    this.timer = null;
+    this.polling = false;
+
+    // Writes made by the app itself are not external changes
+    fileSystemService.onWrite(change => {
+      const key = `${change.subdir}/${change.filename}`;
+      this.ownWrites.set(key, change.deleted ? null : signature(change));
+    });
+  }
+
+  /**
+   * Start watching subdirectories
+   * @param {string[]} subdirs - Subdirectory names
+   * @param {Function} callback - Called with { [subdir]: { changed: string[], removed: string[] } }
+   */
+  async start(subdirs, callback) {
+    this.stop();
+    this.subdirs = subdirs;
+    this.callback = callback;
+    this.ownWrites.clear();
+
+    for (const subdir of subdirs) {
+      this.snapshots.set(subdir, await this.readSnapshot(subdir));
+    }
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL);
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.snapshots.clear();
+  }
+
+  /**
+   * Read file signatures for a subdirectory
+   * @param {string} subdir - Subdirectory name
+   * @returns {Promise<Map<string, string>>} Filename to signature
+   */
+  async readSnapshot(subdir) {
+    const stats = await fileSystemService.listFileStats(subdir);
+    return new Map(stats.map(stat => [stat.name, signature(stat)]));
+  }
+
+  /**
+   * Compare the folders against the last snapshot and report changes
+   */
+  async poll() {
+    if (this.polling || document.hidden) return;
+    this.polling = true;
+
+    try {
+      const changes = {};
+      let hasChanges = false;
+
+      for (const subdir of this.subdirs) {
+        const previous = this.snapshots.get(subdir) || new Map();
+        const current = await this.readSnapshot(subdir);
+        const changed = [];
+        const removed = [];
+
+        for (const [filename, sig] of current) {
+          if (previous.get(filename) !== sig && !this.isOwnWrite(subdir, filename, sig)) {
+            changed.push(filename);
+          }
+        }
+        for (const filename of previous.keys()) {
+          if (!current.has(filename) && !this.isOwnWrite(subdir, filename, null)) {
+            removed.push(filename);
+          }
+        }
+
+        this.snapshots.set(subdir, current);
+        changes[subdir] = { changed, removed };
+        if (changed.length > 0 || removed.length > 0) {
+          hasChanges = true;
+        }
+      }
+
+      if (hasChanges && this.callback) {
+        await this.callback(changes);
+      }
+    } catch (err) {
+      console.error('Failed to check for file changes:', err);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Check whether a file's current state was produced by the app, and
+   * forget the write once it has been seen on disk
+   * @param {string|null} sig - Current signature, or null if the file is gone
+   */
+  isOwnWrite(subdir, filename, sig) {
+    const key = `${subdir}/${filename}`;
+    if (!this.ownWrites.has(key) || this.ownWrites.get(key) !== sig) {
+      return false;
+    }
+    this.ownWrites.delete(key);
+    return true;
+  }
+}
+
+export default new ChangeDetector();
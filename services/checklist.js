@@ -0,0 +1,67 @@
+/**
+ * Checklist - Markdown task lists in task descriptions
+ *
+ *   - [ ] Write the migration
+ *   - [x] Update the docs
+ *
+ * Items are found by line, so toggling one rewrites only its checkbox and
+ * leaves the rest of the description as written. Lines inside fenced code
+ * blocks are not items.
+ */
+
+const ITEM = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\](?:\s+(.*))?)$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Find the checklist items in a description
+ * @param {string} body - Task description
+ * @returns {Object[]} Array of { line, checked, text } where line is the 0-based line number
+ */
+export function parseChecklist(body) {
+  const items = [];
+  let fence = null;
+
+  (body || '').split('\n').forEach((line, index) => {
+    const marker = line.match(FENCE);
+    if (marker) {
+      if (fence === null) fence = marker[1];
+      else if (fence === marker[1]) fence = null;
+      return;
+    }
+    if (fence !== null) return;
+
+    const match = line.match(ITEM);
+    if (match) {
+      items.push({ line: index, checked: match[2] !== ' ', text: (match[4] || '').trim() });
+    }
+  });
+
+  return items;
+}
+
+/**
+ * Count checked and total checklist items
+ * @param {string} body - Task description
+ * @returns {Object|null} { done, total }, or null if the description has no checklist
+ */
+export function getChecklistProgress(body) {
+  const items = parseChecklist(body);
+  if (items.length === 0) return null;
+  return { done: items.filter(item => item.checked).length, total: items.length };
+}
+
+/**
+ * Check or uncheck one item
+ * @param {string} body - Task description
+ * @param {number} line - Line number of the item, from parseChecklist
+ * @param {boolean} checked - New state
+ * @returns {string} Updated description
+ */
+export function setChecklistItem(body, line, checked) {
+  const lines = body.split('\n');
+  const match = lines[line]?.match(ITEM);
+  if (!match) return body;
+
+  lines[line] = match[1] + (checked ? 'x' : ' ') + match[3];
+  return lines.join('\n');
+}
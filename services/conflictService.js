@@ -0,0 +1,132 @@
+/**
+ * ConflictService - Detects files that changed on disk since they were loaded
+ */
+
+import fileSystemService from './fileSystemService.js';
+import { parseMarkdown, getFrontmatterSource } from './markdownParser.js';
+
+/**
+ * Hash file contents (32-bit FNV-1a)
+ * @param {string} text - File contents
+ * @returns {string} Hex digest
+ */
+export function hashContent(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Replace an item's fields with a resolved version, in place
+ * @param {Object} item - Cached item to update
+ * @param {Object} resolved - Version to write; keys it lacks are removed from the item
+ */
+export function replaceFields(item, resolved) {
+  for (const key of Object.keys(item)) {
+    if (!(key in resolved)) delete item[key];
+  }
+  Object.assign(item, resolved);
+}
+
+/**
+ * Error thrown when the user cancels a save that clashes with changes on disk
+ */
+export class SaveCancelledError extends Error {
+  /**
+   * @param {string} filename - File that was not written
+   */
+  constructor(filename) {
+    super(`Saving ${filename} was cancelled`);
+    this.name = 'SaveCancelledError';
+    this.filename = filename;
+  }
+}
+
+/**
+ * Change a cached item and save it, putting the item back as it was if the save is cancelled
+ * @param {Object} item - Cached item to change
+ * @param {Object} changes - Fields to set
+ * @param {Function} save - Writes the changed item
+ * @returns {Promise<Object|null>} Whatever `save` returns
+ * @throws {SaveCancelledError} If the user cancelled the save
+ */
+export async function saveWithRollback(item, changes, save) {
+  const before = { ...item };
+  Object.assign(item, changes);
+  try {
+    return await save(item);
+  } catch (err) {
+    if (err instanceof SaveCancelledError) replaceFields(item, before);
+    throw err;
+  }
+}
+
+class ConflictService {
+  constructor() {
+    this.resolver = null;
+  }
+
+  /**
+   * Set the function that asks the user how to resolve a conflict
+   * @param {Function} resolver - Called with a conflict. Resolves to the item to write, or to the
+   *   conflict's `theirs` to keep the file on disk. Rejects with SaveCancelledError to do neither.
+   */
+  setResolver(resolver) {
+    this.resolver = resolver;
+  }
+
+  /**
+   * Remember the on-disk state an item was loaded from or written as
+   * @param {Object} item - Task or sprint
+   * @param {string} content - File contents
+   * @param {number} lastModified - File modification time
+   * @param {Object} base - Fields as stored in the file, parsed from content if omitted
+   */
+  track(item, content, lastModified, base = null) {
+    if (!base) {
+      const { frontmatter, body } = parseMarkdown(content);
+      base = { ...frontmatter, body };
+    }
+    // The frontmatter as written lets the next save keep its layout and unknown keys
+    item.fileState = { lastModified, hash: hashContent(content), base, source: getFrontmatterSource(content) };
+  }
+
+  /**
+   * Check an item's file before overwriting it
+   * @param {string} subdir - Subdirectory the file lives in
+   * @param {Object} item - Task or sprint about to be written
+   * @param {Function} load - Loads the current version of the file by filename
+   * @returns {Promise<Object|null>} Item to write, or null to keep the file on disk
+   * @throws {SaveCancelledError} If the user cancelled the save
+   */
+  async resolveBeforeWrite(subdir, item, load) {
+    const state = item.fileState;
+    if (!state || !item.filename) return item;
+
+    const stats = await fileSystemService.getFileStats(subdir, item.filename);
+    if (stats && stats.lastModified === state.lastModified) return item;
+
+    if (stats) {
+      // Touched but unchanged (e.g. a git checkout of the same content)
+      const content = await fileSystemService.readFile(subdir, item.filename);
+      if (hashContent(content) === state.hash) return item;
+    }
+
+    if (!this.resolver) return item;
+
+    const theirs = stats ? await load(item.filename) : null;
+    const resolved = await this.resolver({
+      subdir,
+      mine: item,
+      theirs,
+      base: state.base,
+      deleted: !stats
+    });
+    return resolved === theirs ? null : resolved;
+  }
+}
+
+export default new ConflictService();
@@ -0,0 +1,154 @@
+/**
+ * CrossProjectService - Read-only access to tasks in other recent projects
+ *
+ * Other project folders are read straight from their stored handles, without
+ * switching fileSystemService away from the open project.
+ */
+
+import workspaceService from './workspaceService.js';
+import taskService, { TASKS_DIR } from './taskService.js';
+import { SPRINTS_DIR } from './sprintService.js';
+import { mapWithConcurrency } from './fileRepository.js';
+import { parseMarkdown, YamlError } from './markdownParser.js';
+import { normalizeStatuses } from './workflow.js';
+import { normalizeMembers } from './members.js';
+
+const PROJECT_CONFIG_FILE = 'project.md';
+const READ_CONCURRENCY = 8;
+
+/**
+ * Read and parse every markdown file in a subdirectory of a folder
+ * @param {FileSystemDirectoryHandle} handle - Project folder
+ * @param {string} subdir - Subdirectory name
+ * @param {Function} parse - Parses file contents into an item
+ * @returns {Promise<Object[]>} Parsed items, malformed files skipped
+ */
+async function readItems(handle, subdir, parse) {
+  let dir;
+  try {
+    dir = await handle.getDirectoryHandle(subdir);
+  } catch (err) {
+    if (err.name === 'NotFoundError') return [];
+    throw err;
+  }
+
+  const entries = [];
+  for await (const entry of dir.values()) {
+    if (entry.kind === 'file' && entry.name.endsWith('.md')) entries.push(entry);
+  }
+
+  const items = await mapWithConcurrency(entries, READ_CONCURRENCY, async entry => {
+    const content = await (await entry.getFile()).text();
+    try {
+      return { ...parse(content), filename: entry.name };
+    } catch (err) {
+      if (!(err instanceof YamlError)) throw err;
+      return null;
+    }
+  });
+
+  return items.filter(Boolean).sort((a, b) => a.id - b.id);
+}
+
+async function readConfig(handle) {
+  try {
+    const file = await (await handle.getFileHandle(PROJECT_CONFIG_FILE)).getFile();
+    return parseMarkdown(await file.text()).frontmatter;
+  } catch (err) {
+    if (err.name === 'NotFoundError' || err instanceof YamlError) return {};
+    throw err;
+  }
+}
+
+class CrossProjectService {
+  constructor() {
+    this.snapshots = [];
+  }
+
+  /**
+   * Load tasks and sprints of every recent project
+   * @param {Object} current - The open project: { project, tasks, sprints, statuses, members }
+   * @param {boolean} requestAccess - Ask for read access where it isn't granted yet (needs a user gesture)
+   * @returns {Promise<Object[]>} Snapshots: { project, tasks, sprints, statuses, members, activeSprint, error }
+   */
+  async loadAll(current, requestAccess = false) {
+    const projects = await workspaceService.getRecentProjects();
+
+    // One folder at a time, so permission prompts don't pile up
+    const snapshots = [];
+    for (const project of projects) {
+      if (current.project && project.id === current.project.id) {
+        // The open project is already in memory
+        snapshots.push(this.createSnapshot(project, current.tasks, current.sprints, current.statuses, current.members));
+      } else {
+        snapshots.push(await this.loadProject(project, requestAccess));
+      }
+    }
+
+    this.snapshots = snapshots;
+    return snapshots;
+  }
+
+  /**
+   * Replace the open project's snapshot without re-reading other folders
+   * @param {Object} current - The open project: { project, tasks, sprints, statuses, members }
+   */
+  updateCurrent(current) {
+    this.snapshots = this.snapshots.map(snapshot =>
+      current.project && snapshot.project.id === current.project.id
+        ? this.createSnapshot(snapshot.project, current.tasks, current.sprints, current.statuses, current.members)
+        : snapshot
+    );
+  }
+
+  /**
+   * Snapshots from the last load
+   * @returns {Object[]}
+   */
+  getSnapshots() {
+    return this.snapshots;
+  }
+
+  async loadProject(project, requestAccess) {
+    try {
+      let permission = await project.handle.queryPermission({ mode: 'read' });
+      if (permission === 'prompt' && requestAccess) {
+        // Throws when there was no user gesture, which leaves the folder locked
+        permission = await project.handle.requestPermission({ mode: 'read' }).catch(() => permission);
+      }
+      if (permission !== 'granted') {
+        return { ...this.createSnapshot(project, [], [], normalizeStatuses()), error: 'permission' };
+      }
+
+      const [config, tasks, sprints] = await Promise.all([
+        readConfig(project.handle),
+        readItems(project.handle, TASKS_DIR, content => taskService.parseTask(content)),
+        readItems(project.handle, SPRINTS_DIR, content => {
+          const { frontmatter, body } = parseMarkdown(content);
+          return { ...frontmatter, body };
+        })
+      ]);
+
+      return this.createSnapshot(
+        project, tasks, sprints, normalizeStatuses(config.statuses), normalizeMembers(config.members)
+      );
+    } catch (err) {
+      console.warn(`Could not read project ${project.name}:`, err);
+      return { ...this.createSnapshot(project, [], [], normalizeStatuses()), error: 'unreadable' };
+    }
+  }
+
+  createSnapshot(project, tasks, sprints, statuses, members = []) {
+    return {
+      project,
+      tasks,
+      sprints,
+      statuses,
+      members,
+      activeSprint: sprints.find(s => s.status === 'active') || null,
+      error: null
+    };
+  }
+}
+
+export default new CrossProjectService();
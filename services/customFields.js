@@ -0,0 +1,176 @@
+/**
+ * CustomFields - Project-defined task fields, declared in project.md
+ *
+ *   fields:
+ *     - name: Component
+ *       type: enum
+ *       options: [api, web, mobile]
+ *     - key: due
+ *       name: Due date
+ *       type: date
+ *     - name: Customer
+ *       type: text
+ *     - name: Risk
+ *       type: number
+ *       min: 1
+ *       max: 5
+ *       required: true
+ *
+ * Values are stored in the task's frontmatter under the field key, which
+ * defaults to the name in camelCase. Values written by hand that don't fit
+ * the field are kept in the file and reported, never thrown.
+ */
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'enum'];
+
+// Keys used by built-in task fields and search filters
+const RESERVED_KEYS = [
+  'id', 'title', 'status', 'sprint', 'priority', 'storyPoints', 'assignee', 'labels', 'rank', 'parent',
+  'epic', 'blockedBy', 'relatesTo', 'duplicates',
+  'createdAt', 'updatedAt', 'body', 'history', 'filename', 'fileState',
+  'points', 'label', 'is', 'updated', 'created'
+].map(key => key.toLowerCase());
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize the field schema from project.md
+ * @param {Object[]} raw - Fields as stored in project.md
+ * @returns {Object[]} Array of { key, name, type, options, min, max, required, card }
+ */
+export function normalizeFields(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const fields = [];
+  for (const entry of raw) {
+    if (entry === null || typeof entry !== 'object' || !entry.name) continue;
+
+    const name = String(entry.name);
+    const key = entry.key ? String(entry.key) : toKey(name);
+    if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(key)) {
+      console.warn(`Skipping field "${name}": key "${key}" must be letters and digits`);
+      continue;
+    }
+    if (RESERVED_KEYS.includes(key.toLowerCase()) || fields.some(f => f.key.toLowerCase() === key.toLowerCase())) {
+      console.warn(`Skipping field "${name}": key "${key}" is already used`);
+      continue;
+    }
+
+    const type = FIELD_TYPES.includes(entry.type) ? entry.type : 'text';
+    fields.push({
+      key,
+      name,
+      type,
+      options: type === 'enum' && Array.isArray(entry.options) ? entry.options.map(String) : [],
+      min: typeof entry.min === 'number' ? entry.min : null,
+      max: typeof entry.max === 'number' ? entry.max : null,
+      required: entry.required === true,
+      // Shown on cards unless turned off
+      card: entry.card !== false
+    });
+  }
+
+  return fields;
+}
+
+/**
+ * Check a stored value against its field
+ * @param {Object} field - Normalized field
+ * @param {any} value - Value from the task's frontmatter
+ * @returns {string|null} Problem description, or null if the value is valid or empty
+ */
+export function validateFieldValue(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'not a number';
+      if (field.min !== null && value < field.min) return `less than ${field.min}`;
+      if (field.max !== null && value > field.max) return `more than ${field.max}`;
+      return null;
+    case 'date':
+      return typeof value === 'string' && DATE.test(value) && !isNaN(new Date(value)) ? null : 'not a date (YYYY-MM-DD)';
+    case 'enum':
+      return findOption(field, value) === null ? `not one of ${field.options.join(', ')}` : null;
+    default:
+      return typeof value === 'object' ? 'not text' : null;
+  }
+}
+
+/**
+ * A task's value for a field, if it is set and valid
+ * @param {Object} task - Task
+ * @param {Object} field - Normalized field
+ * @returns {any} Value (enum values use the option's spelling), or null
+ */
+export function getFieldValue(task, field) {
+  const value = task[field.key];
+  if (value === null || value === undefined || value === '' || validateFieldValue(field, value)) return null;
+
+  switch (field.type) {
+    case 'enum': return findOption(field, value);
+    case 'text': return String(value);
+    default: return value;
+  }
+}
+
+/**
+ * Fields of a task holding values that don't fit the schema
+ * @param {Object} task - Task
+ * @param {Object[]} fields - Normalized fields
+ * @returns {Object[]} Array of { field, value, message }
+ */
+export function getFieldProblems(task, fields) {
+  const problems = [];
+  for (const field of fields) {
+    const message = validateFieldValue(field, task[field.key]);
+    if (message) problems.push({ field, value: task[field.key], message });
+  }
+  return problems;
+}
+
+/**
+ * Turn form input into a value to store
+ * @param {Object} field - Normalized field
+ * @param {string} input - Input value
+ * @returns {Object} { value, error } where value is null for an empty input
+ */
+export function parseFieldInput(field, input) {
+  const text = input.trim();
+  if (text === '') {
+    return { value: null, error: field.required ? `${field.name} is required` : null };
+  }
+
+  const value = field.type === 'number' ? Number(text) : text;
+  const problem = validateFieldValue(field, value);
+  if (problem) return { value: null, error: `${field.name}: ${problem}` };
+  return { value: field.type === 'enum' ? findOption(field, value) : value, error: null };
+}
+
+/**
+ * Format a valid value for display
+ * @param {Object} field - Normalized field
+ * @param {any} value - Value from getFieldValue
+ * @returns {string}
+ */
+export function formatFieldValue(field, value) {
+  if (field.type === 'date') {
+    // Parse as a local date so the day doesn't shift with the time zone
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString();
+  }
+  return String(value);
+}
+
+function findOption(field, value) {
+  const key = String(value).toLowerCase();
+  return field.options.find(option => option.toLowerCase() === key) ?? null;
+}
+
+// "Due date" -> "dueDate"
+function toKey(name) {
+  const words = name.match(/[a-zA-Z0-9]+/g) || [];
+  return words
+    .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    .join('');
+}
@@ -0,0 +1,244 @@
+/**
+ * EpicService - Handles epics, stored as markdown files in epics/
+ *
+ *   ---
+ *   id: 3
+ *   name: Checkout redesign
+ *   status: active
+ *   color: "#a855f7"
+ *   targetDate: "2026-12-01"
+ *   ---
+ *   Description
+ *
+ * Tasks belong to an epic through their `epic` field, holding the epic's ID.
+ */
+
+import fileSystemService from './fileSystemService.js';
+import conflictService, { replaceFields } from './conflictService.js';
+import { FileRepository } from './fileRepository.js';
+import { parseMarkdown, createMarkdown, YamlError } from './markdownParser.js';
+import { isValidColor, hashColor } from './workflow.js';
+
+export const EPICS_DIR = 'epics';
+
+export const EPIC_STATUSES = ['planned', 'active', 'done'];
+
+const EPIC_COLORS = ['#a855f7', '#3b82f6', '#06b6d4', '#22c55e', '#f59e0b', '#ec4899', '#ef4444', '#84cc16'];
+
+// Epic object properties that aren't frontmatter fields
+const RUNTIME_FIELDS = ['filename', 'body', 'fileState'];
+
+/**
+ * Read a task's epic field
+ * @param {Object} task - Task
+ * @returns {number|null} Epic ID
+ */
+export function getEpicId(task) {
+  const id = typeof task.epic === 'string' ? parseInt(task.epic.replace(/^#/, '')) : task.epic;
+  return Number.isInteger(id) ? id : null;
+}
+
+/**
+ * Colour of an epic, generated from its ID when the file has none
+ * @param {Object} epic - Epic
+ * @returns {string}
+ */
+export function getEpicColor(epic) {
+  return isValidColor(epic.color) ? epic.color : hashColor(String(epic.id), EPIC_COLORS);
+}
+
+/**
+ * Sum up the tasks of an epic, overall and per sprint
+ * @param {Object[]} tasks - The epic's tasks
+ * @param {Function} isDone - (status) => whether the status counts as done
+ * @returns {Object} { done, total, donePoints, points, bySprint: Map<sprintId|null, {...}> }
+ */
+export function getEpicProgress(tasks, isDone) {
+  const empty = () => ({ done: 0, total: 0, donePoints: 0, points: 0 });
+  const progress = { ...empty(), bySprint: new Map() };
+
+  for (const task of tasks) {
+    const sprintId = task.sprint || null;
+    if (!progress.bySprint.has(sprintId)) progress.bySprint.set(sprintId, empty());
+
+    const points = task.storyPoints || 0;
+    for (const totals of [progress, progress.bySprint.get(sprintId)]) {
+      totals.total++;
+      totals.points += points;
+      if (isDone(task.status)) {
+        totals.done++;
+        totals.donePoints += points;
+      }
+    }
+  }
+
+  return progress;
+}
+
+class EpicService {
+  constructor() {
+    this.repository = new FileRepository(EPICS_DIR, filename => this.loadEpic(filename));
+  }
+
+  /**
+   * Generate filename from epic, with a numeric suffix if another epic uses it
+   * @param {Object} epic - Epic object
+   * @returns {string} Filename
+   */
+  generateFilename(epic) {
+    const slug = epic.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '') || 'epic';
+
+    let filename = `${slug}.md`;
+    for (let n = 2; filename !== epic.filename && this.repository.has(filename); n++) {
+      filename = `${slug}-${n}.md`;
+    }
+    return filename;
+  }
+
+  /**
+   * Serialize epic to markdown format
+   * @param {Object} epic - Epic object
+   * @returns {string} Markdown content
+   */
+  serializeEpic(epic) {
+    const frontmatter = {
+      id: epic.id,
+      name: epic.name,
+      status: epic.status,
+      color: epic.color || null,
+      targetDate: epic.targetDate || null
+    };
+
+    // Keep fields the app doesn't know about
+    for (const [key, value] of Object.entries(epic)) {
+      if (!(key in frontmatter) && !RUNTIME_FIELDS.includes(key)) frontmatter[key] = value;
+    }
+
+    return createMarkdown(frontmatter, epic.body || '', epic.fileState?.source ?? null);
+  }
+
+  /**
+   * Read and parse a single epic file
+   * @param {string} filename - File name within the epics directory
+   * @returns {Promise<Object|null>} Epic object, or null if the file is missing or malformed
+   */
+  async loadEpic(filename) {
+    let file;
+    try {
+      file = await fileSystemService.readFileWithStats(EPICS_DIR, filename);
+    } catch (err) {
+      if (err.name === 'NotFoundError') return null;
+      throw err;
+    }
+
+    try {
+      const parsed = parseMarkdown(file.content);
+      const epic = {
+        ...parsed.frontmatter,
+        status: EPIC_STATUSES.includes(parsed.frontmatter.status) ? parsed.frontmatter.status : 'planned',
+        body: parsed.body,
+        filename
+      };
+      conflictService.track(epic, file.content, file.lastModified, { ...parsed.frontmatter, body: parsed.body });
+      return epic;
+    } catch (err) {
+      if (!(err instanceof YamlError)) throw err;
+      console.warn(`Skipping epic file ${filename}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get all epics, re-reading only files that changed
+   * @returns {Promise<Object[]>} Array of epic objects
+   */
+  async getAllEpics() {
+    return await this.repository.loadAll();
+  }
+
+  /**
+   * Get epics from the in-memory cache without touching the disk
+   * @returns {Object[]} Array of epic objects sorted by ID
+   */
+  getCachedEpics() {
+    return this.repository.items();
+  }
+
+  /**
+   * Reload epic files that changed outside the app
+   * @param {Object} changes - { changed: string[], removed: string[] }
+   * @returns {Promise<number>} Number of epics affected
+   */
+  async applyFileChanges(changes) {
+    return await this.repository.applyChanges(changes);
+  }
+
+  /**
+   * Create a new epic
+   * @param {Object} data - Epic data (name, status, color, targetDate, body)
+   * @param {Function} getNextId - Function to get next epic ID
+   * @returns {Promise<Object>} Created epic
+   */
+  async createEpic(data, getNextId) {
+    // Make sure the cache knows every file before picking a filename
+    await this.repository.getItems();
+
+    const epic = {
+      id: await getNextId(),
+      name: data.name,
+      status: data.status || 'planned',
+      color: data.color || null,
+      targetDate: data.targetDate || null,
+      body: data.body || ''
+    };
+
+    epic.filename = this.generateFilename(epic);
+    const content = this.serializeEpic(epic);
+    const stats = await fileSystemService.writeFile(EPICS_DIR, epic.filename, content);
+    conflictService.track(epic, content, stats.lastModified);
+    this.repository.set(epic, stats.size);
+
+    return epic;
+  }
+
+  /**
+   * Update an existing epic
+   * @param {Object} epic - Epic with updates
+   * @returns {Promise<Object|null>} Updated epic, or the version on disk if the user kept it
+   */
+  async updateEpic(epic) {
+    // Don't silently overwrite changes made on disk since the epic was loaded
+    const resolved = await conflictService.resolveBeforeWrite(EPICS_DIR, epic, f => this.loadEpic(f));
+    if (!resolved) {
+      // Kept the version on disk: drop the unsaved edits from the cache
+      return await this.repository.reload(epic.filename);
+    }
+    if (resolved !== epic) replaceFields(epic, resolved);
+
+    const oldFilename = epic.filename;
+    const newFilename = this.generateFilename(epic);
+    const content = this.serializeEpic(epic);
+
+    const stats = await fileSystemService.renameFile(EPICS_DIR, oldFilename, newFilename, content);
+    epic.filename = newFilename;
+    conflictService.track(epic, content, stats.lastModified);
+    this.repository.delete(oldFilename);
+    this.repository.set(epic, stats.size);
+
+    return { ...epic };
+  }
+
+  /**
+   * Delete an epic
+   * @param {Object} epic - Epic to delete
+   */
+  async deleteEpic(epic) {
+    await fileSystemService.deleteFile(EPICS_DIR, epic.filename);
+    this.repository.delete(epic.filename);
+  }
+}
+
+export default new EpicService();
@@ -0,0 +1,185 @@
+/**
+ * FileRepository - In-memory cache of parsed markdown files in a subdirectory
+ *
+ * Files are keyed by filename and re-read only when their lastModified or
+ * size changes. Services update the cache after their own writes so the UI
+ * can re-render without rescanning the folder.
+ */
+
+import fileSystemService from './fileSystemService.js';
+
+// Number of files read at the same time
+const READ_CONCURRENCY = 8;
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+export class FileRepository {
+  /**
+   * @param {string} subdir - Subdirectory name
+   * @param {Function} load - Reads and parses one file by filename, returns the item or null
+   */
+  constructor(subdir, load) {
+    this.subdir = subdir;
+    this.load = load;
+    this.cache = new Map();
+    this.directoryHandle = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Bring the cache up to date with the folder, reading only changed files
+   * @returns {Promise<Object[]>} All items sorted by ID
+   */
+  async loadAll() {
+    this.checkDirectory();
+
+    const stats = await fileSystemService.listFileStats(this.subdir);
+    const present = new Set(stats.map(stat => stat.name));
+
+    for (const filename of this.cache.keys()) {
+      if (!present.has(filename)) {
+        this.cache.delete(filename);
+      }
+    }
+
+    const stale = stats.filter(stat => {
+      const entry = this.cache.get(stat.name);
+      return !entry ||
+        entry.lastModified !== stat.lastModified ||
+        (entry.size !== null && entry.size !== stat.size);
+    });
+
+    await mapWithConcurrency(stale, READ_CONCURRENCY, async stat => {
+      const item = await this.load(stat.name);
+      this.cache.set(stat.name, { lastModified: stat.lastModified, size: stat.size, item });
+    });
+
+    this.loaded = true;
+    return this.items();
+  }
+
+  /**
+   * Get cached items, loading the folder on first use
+   * @returns {Promise<Object[]>}
+   */
+  async getItems() {
+    this.checkDirectory();
+    return this.loaded ? this.items() : await this.loadAll();
+  }
+
+  /**
+   * Cached items without touching the disk
+   * @returns {Object[]} Items sorted by ID
+   */
+  items() {
+    return [...this.cache.values()]
+      .map(entry => entry.item)
+      .filter(Boolean)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Store an item after it was written by the app
+   * @param {Object} item - Item with filename and fileState
+   * @param {number|null} size - Size of the written file, if known
+   */
+  set(item, size = null) {
+    this.cache.set(item.filename, {
+      lastModified: item.fileState?.lastModified ?? null,
+      size,
+      item
+    });
+  }
+
+  /**
+   * Names of every known file, including ones that failed to parse
+   * @returns {string[]}
+   */
+  filenames() {
+    return [...this.cache.keys()];
+  }
+
+  /**
+   * Check whether a file is known, even if it failed to parse
+   * @param {string} filename - File name
+   * @returns {boolean}
+   */
+  has(filename) {
+    return this.cache.has(filename);
+  }
+
+  /**
+   * Remove a file from the cache
+   * @param {string} filename - File name
+   */
+  delete(filename) {
+    this.cache.delete(filename);
+  }
+
+  /**
+   * Re-read a single file, dropping it from the cache if it is gone
+   * @param {string} filename - File name
+   * @returns {Promise<Object|null>} Fresh item
+   */
+  async reload(filename) {
+    const item = await this.load(filename);
+    if (item) {
+      this.set(item);
+    } else {
+      this.cache.delete(filename);
+    }
+    return item;
+  }
+
+  /**
+   * Apply changes reported by the change detector
+   * @param {Object} changes - { changed: string[], removed: string[] }
+   * @returns {Promise<number>} Number of distinct item IDs affected
+   */
+  async applyChanges({ changed, removed }) {
+    const affected = new Set();
+
+    for (const filename of [...changed, ...removed]) {
+      const entry = this.cache.get(filename);
+      if (entry?.item) affected.add(entry.item.id);
+      this.cache.delete(filename);
+    }
+
+    const items = await mapWithConcurrency(changed, READ_CONCURRENCY, filename => this.reload(filename));
+    items.filter(Boolean).forEach(item => affected.add(item.id));
+
+    return affected.size;
+  }
+
+  /**
+   * Drop the cache when the user switched to another folder
+   */
+  checkDirectory() {
+    if (this.directoryHandle !== fileSystemService.directoryHandle) {
+      this.cache.clear();
+      this.loaded = false;
+      this.directoryHandle = fileSystemService.directoryHandle;
+    }
+  }
+}
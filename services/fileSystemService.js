@@ -8,6 +8,27 @@ import storageService, { STORAGE_KEYS } from './storageService.js';
 class FileSystemService {
   constructor() {
     this.directoryHandle = null;
+    this.writeListeners = new Set();
+  }
+
+  /**
+   * Register a listener for writes and deletes made through this service
+   * @param {Function} listener - Called with { subdir, filename, lastModified, size, deleted }
+   * @returns {Function} Function that removes the listener
+   */
+  onWrite(listener) {
+    this.writeListeners.add(listener);
+    return () => this.writeListeners.delete(listener);
+  }
+
+  /**
+   * Notify write listeners
+   * @param {Object} change - { subdir, filename, lastModified, size, deleted }
+   */
+  notifyWrite(change) {
+    for (const listener of this.writeListeners) {
+      listener(change);
+    }
   }
 
   /**
@@ -41,17 +62,19 @@ class FileSystemService {
 
   /**
    * Restore directory handle from storage
+   * @param {FileSystemDirectoryHandle} handle - Handle to switch to, defaults to the last used one
    * @returns {Promise<boolean>} True if handle was restored and permission granted
    */
-  async restoreHandle() {
+  async restoreHandle(handle = null) {
     try {
-      const handle = await storageService.get(STORAGE_KEYS.DIRECTORY_HANDLE);
+      handle = handle || await storageService.get(STORAGE_KEYS.DIRECTORY_HANDLE);
       if (!handle) return false;
       
       // Request permission - user may need to grant it again
       const permission = await handle.requestPermission({ mode: 'readwrite' });
       if (permission === 'granted') {
         this.directoryHandle = handle;
+        await storageService.set(STORAGE_KEYS.DIRECTORY_HANDLE, handle);
         return true;
       }
       return false;
@@ -125,6 +148,35 @@ class FileSystemService {
     return files;
   }
 
+  /**
+   * List files in a subdirectory with their modification time and size
+   * @param {string} subdir - Subdirectory name
+   * @param {string} extension - File extension to filter (e.g., '.md')
+   * @returns {Promise<Object[]>} Array of { name, lastModified, size }
+   */
+  async listFileStats(subdir, extension = ".md") {
+    if (!this.directoryHandle) {
+      throw new Error("No directory selected");
+    }
+
+    const stats = [];
+    try {
+      const subdirHandle = await this.directoryHandle.getDirectoryHandle(subdir, { create: false });
+      for await (const entry of subdirHandle.values()) {
+        if (entry.kind === "file" && entry.name.endsWith(extension)) {
+          const file = await entry.getFile();
+          stats.push({ name: entry.name, lastModified: file.lastModified, size: file.size });
+        }
+      }
+    } catch (err) {
+      if (err.name === "NotFoundError") {
+        return [];
+      }
+      throw err;
+    }
+    return stats;
+  }
+
   /**
    * Read a file from a subdirectory
    * @param {string} subdir - Subdirectory name
@@ -142,6 +194,47 @@ class FileSystemService {
     return await file.text();
   }
 
+  /**
+   * Read a file from a subdirectory along with its modification time and size
+   * @param {string} subdir - Subdirectory name
+   * @param {string} filename - File name
+   * @returns {Promise<Object>} { content, lastModified, size }
+   */
+  async readFileWithStats(subdir, filename) {
+    if (!this.directoryHandle) {
+      throw new Error("No directory selected");
+    }
+
+    const subdirHandle = await this.directoryHandle.getDirectoryHandle(subdir, { create: false });
+    const fileHandle = await subdirHandle.getFileHandle(filename);
+    const file = await fileHandle.getFile();
+    return { content: await file.text(), lastModified: file.lastModified, size: file.size };
+  }
+
+  /**
+   * Get modification time and size of a file in a subdirectory
+   * @param {string} subdir - Subdirectory name
+   * @param {string} filename - File name
+   * @returns {Promise<Object|null>} { lastModified, size } or null if not found
+   */
+  async getFileStats(subdir, filename) {
+    if (!this.directoryHandle) {
+      throw new Error("No directory selected");
+    }
+
+    try {
+      const subdirHandle = await this.directoryHandle.getDirectoryHandle(subdir, { create: false });
+      const fileHandle = await subdirHandle.getFileHandle(filename);
+      const file = await fileHandle.getFile();
+      return { lastModified: file.lastModified, size: file.size };
+    } catch (err) {
+      if (err.name === "NotFoundError") {
+        return null;
+      }
+      throw err;
+    }
+  }
+
   /**
    * Read a file from the root directory
    * @param {string} filename - File name
@@ -169,6 +262,7 @@ class FileSystemService {
    * @param {string} subdir - Subdirectory name
    * @param {string} filename - File name
    * @param {string} content - File contents
+   * @returns {Promise<Object>} { lastModified, size } of the written file
    */
   async writeFile(subdir, filename, content) {
     if (!this.directoryHandle) {
@@ -180,6 +274,10 @@ class FileSystemService {
     const writable = await fileHandle.createWritable();
     await writable.write(content);
     await writable.close();
+
+    const file = await fileHandle.getFile();
+    this.notifyWrite({ subdir, filename, lastModified: file.lastModified, size: file.size, deleted: false });
+    return { lastModified: file.lastModified, size: file.size };
   }
 
   /**
@@ -211,6 +309,7 @@ class FileSystemService {
     try {
       const subdirHandle = await this.directoryHandle.getDirectoryHandle(subdir, { create: false });
       await subdirHandle.removeEntry(filename);
+      this.notifyWrite({ subdir, filename, lastModified: null, size: null, deleted: true });
     } catch (err) {
       if (err.name !== "NotFoundError") {
         throw err;
@@ -224,12 +323,14 @@ class FileSystemService {
    * @param {string} oldFilename - Current file name
    * @param {string} newFilename - New file name
    * @param {string} content - File contents to write
+   * @returns {Promise<Object>} { lastModified, size } of the written file
    */
   async renameFile(subdir, oldFilename, newFilename, content) {
-    await this.writeFile(subdir, newFilename, content);
+    const stats = await this.writeFile(subdir, newFilename, content);
     if (oldFilename !== newFilename) {
       await this.deleteFile(subdir, oldFilename);
     }
+    return stats;
   }
 }
 
@@ -0,0 +1,89 @@
+/**
+ * Labels - Task labels and the label catalogue in project.md
+ *
+ *   labels:
+ *     - name: bug
+ *       color: "#ef4444"
+ *     - docs
+ *
+ * Tasks list label names in their `labels` field. Labels missing from the
+ * catalogue still work, they just get a generated colour.
+ */
+
+import { isValidColor, hashColor } from './workflow.js';
+
+const LABEL_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#ef4444', '#a855f7', '#06b6d4', '#ec4899', '#84cc16'];
+
+/**
+ * Normalize the label catalogue from project.md
+ * @param {Array<string|Object>} raw - Labels as stored in project.md
+ * @returns {Object[]} Array of { name, color }
+ */
+export function normalizeLabels(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const seen = new Set();
+  const labels = [];
+
+  for (const entry of raw) {
+    const config = entry !== null && typeof entry === 'object' ? entry : { name: entry };
+    const name = normalizeLabelName(config.name);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+
+    labels.push({
+      name,
+      color: isValidColor(config.color) ? config.color : hashColor(name.toLowerCase(), LABEL_COLORS)
+    });
+  }
+
+  return labels;
+}
+
+/**
+ * Normalize a task's labels field
+ * @param {string|string[]} raw - Labels as stored in the task's frontmatter
+ * @returns {string[]} Unique label names, in their original order
+ */
+export function normalizeTaskLabels(raw) {
+  const entries = Array.isArray(raw) ? raw : [raw];
+  const seen = new Set();
+  const labels = [];
+
+  for (const entry of entries) {
+    const name = normalizeLabelName(entry);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    labels.push(name);
+  }
+
+  return labels;
+}
+
+/**
+ * Look up a label in the catalogue
+ * @param {Object[]} catalogue - Normalized catalogue
+ * @param {string} name - Label name
+ * @returns {Object} Catalogue entry, or { name, color, unknown: true }
+ */
+export function resolveLabel(catalogue, name) {
+  const key = name.toLowerCase();
+  return catalogue.find(label => label.name.toLowerCase() === key) ||
+    { name, color: hashColor(key, LABEL_COLORS), unknown: true };
+}
+
+/**
+ * Check whether a task has a label, ignoring case
+ * @param {Object} task - Task
+ * @param {string} name - Label name
+ * @returns {boolean}
+ */
+export function hasLabel(task, name) {
+  const key = name.toLowerCase();
+  return (task.labels || []).some(label => label.toLowerCase() === key);
+}
+
+function normalizeLabelName(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).trim();
+}
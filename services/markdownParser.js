@@ -1,78 +1,787 @@
 /**
  * MarkdownParser - Shared YAML frontmatter parsing and serialization
+ *
+ * Supports the YAML subset used by project, task and sprint files:
+ * nested mappings, block and flow sequences, flow mappings, single and
+ * double quoted strings, block scalars (| and >) and comments.
  */
 
+/**
+ * Error thrown when frontmatter cannot be parsed
+ */
+export class YamlError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {number|null} line - 1-based line number within the frontmatter
+   */
+  constructor(message, line = null) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+const FRONTMATTER = /^---\n([\s\S]*?)\n---(?:\n|$)([\s\S]*)$/;
+
+// Block scalar header with keep chomping, e.g. "notes: |+" or "- >2+"
+const KEEP_CHOMPING = /(^|[\s:-])[|>][1-9]?\+[1-9]?\s*(#.*)?$/;
+
 /**
  * Parse YAML frontmatter from markdown content
  * @param {string} content - Markdown content
  * @returns {Object} { frontmatter: Object, body: string }
+ * @throws {YamlError} If the frontmatter is malformed
  */
 export function parseMarkdown(content) {
-  const frontmatterRegex = /^---\n([\s\S]*?)\n---\n?([\s\S]*)$/;
-  const match = content.match(frontmatterRegex);
-  
+  const normalized = content.replace(/\r\n/g, '\n');
+  const match = normalized.match(FRONTMATTER);
+
   if (!match) {
-    return { frontmatter: {}, body: content };
-  }
-
-  const frontmatter = {};
-  const yamlLines = match[1].split('\n');
-  
-  for (const line of yamlLines) {
-    const colonIndex = line.indexOf(':');
-    if (colonIndex > 0) {
-      const key = line.substring(0, colonIndex).trim();
-      let value = line.substring(colonIndex + 1).trim();
-      
-      // Parse values
-      if (value === 'null' || value === '') {
-        value = null;
-      } else if (value === 'true') {
-        value = true;
-      } else if (value === 'false') {
-        value = false;
-      } else if (/^-?\d+$/.test(value)) {
-        value = parseInt(value, 10);
-      } else if (/^-?\d+\.\d+$/.test(value)) {
-        value = parseFloat(value);
-      } else if (value.startsWith('"') && value.endsWith('"')) {
-        value = value.slice(1, -1);
+    return { frontmatter: {}, body: normalized };
+  }
+
+  const frontmatter = parseYaml(match[1]) || {};
+  return { frontmatter, body: match[2].trim() };
+}
+
+/**
+ * Get the frontmatter of a markdown document as written
+ * @param {string} content - Markdown content
+ * @returns {string|null} YAML source between the --- lines, or null if there is none
+ */
+export function getFrontmatterSource(content) {
+  const match = content.replace(/\r\n/g, '\n').match(FRONTMATTER);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML source
+ * @returns {any} Parsed value (usually an object), null for an empty document
+ * @throws {YamlError} If the document is malformed
+ */
+export function parseYaml(text) {
+  const reader = new YamlReader(text);
+  const first = reader.peek();
+  if (first === null) return null;
+
+  const value = reader.parseBlock(reader.indentAt(first));
+  const rest = reader.peek();
+  if (rest !== null) {
+    throw new YamlError('Unexpected content', rest + 1);
+  }
+  return value;
+}
+
+/**
+ * Line-oriented reader for block-style YAML
+ */
+class YamlReader {
+  constructor(text) {
+    this.lines = text.replace(/\r\n/g, '\n').split('\n');
+    this.pos = 0;
+  }
+
+  /**
+   * Index of the next line with content, skipping blanks and comments
+   * @returns {number|null}
+   */
+  peek() {
+    while (this.pos < this.lines.length) {
+      const trimmed = this.lines[this.pos].trim();
+      if (trimmed !== '' && !trimmed.startsWith('#')) {
+        return this.pos;
       }
-      
-      frontmatter[key] = value;
+      this.pos++;
     }
+    return null;
   }
 
-  return { frontmatter, body: match[2].trim() };
+  indentAt(index) {
+    const line = this.lines[index];
+    const indent = line.length - line.trimStart().length;
+    if (line.slice(0, indent).includes('\t')) {
+      throw new YamlError('Tabs are not allowed for indentation', index + 1);
+    }
+    return indent;
+  }
+
+  contentAt(index) {
+    return stripComment(this.lines[index].trimStart()).trimEnd();
+  }
+
+  /**
+   * Parse a mapping or sequence whose entries start at the given indent
+   */
+  parseBlock(indent) {
+    const content = this.contentAt(this.peek());
+    return isSequenceEntry(content) ? this.parseSequence(indent) : this.parseMapping(indent);
+  }
+
+  parseMapping(indent) {
+    const result = {};
+
+    for (let index = this.peek(); index !== null; index = this.peek()) {
+      const lineIndent = this.indentAt(index);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) {
+        throw new YamlError('Unexpected indentation', index + 1);
+      }
+
+      const content = this.contentAt(index);
+      if (isSequenceEntry(content)) break;
+
+      const colon = findMappingColon(content);
+      if (colon === -1) {
+        throw new YamlError(`Expected "key: value" but found "${content}"`, index + 1);
+      }
+
+      const key = parseKey(content.slice(0, colon).trim(), index + 1);
+      const rest = content.slice(colon + 1).trim();
+      this.pos = index + 1;
+      result[key] = this.parseValue(rest, indent, index + 1, true);
+    }
+
+    return result;
+  }
+
+  parseSequence(indent) {
+    const result = [];
+
+    for (let index = this.peek(); index !== null; index = this.peek()) {
+      const lineIndent = this.indentAt(index);
+      if (lineIndent < indent) break;
+      if (lineIndent > indent) {
+        throw new YamlError('Unexpected indentation', index + 1);
+      }
+
+      const content = this.contentAt(index);
+      if (!isSequenceEntry(content)) break;
+
+      const itemText = content.slice(1).trimStart();
+      if (itemText !== '' && (isSequenceEntry(itemText) || isMappingStart(itemText))) {
+        // "- key: value" or "- - item": re-read the line as a nested block
+        // whose indent is the column the item text starts at
+        const itemIndent = indent + content.length - itemText.length;
+        this.lines[index] = ' '.repeat(itemIndent) + this.lines[index].trimStart().slice(content.length - itemText.length);
+        result.push(this.parseBlock(itemIndent));
+      } else {
+        this.pos = index + 1;
+        result.push(this.parseValue(itemText, indent, index + 1, false));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the value following "key:" or "-"
+   * @param {string} rest - Text after the indicator
+   * @param {number} indent - Indent of the owning key or entry
+   * @param {number} lineNumber - 1-based line number for errors
+   * @param {boolean} allowSameIndentSequence - Whether "key:" may be followed by "- " at the same indent
+   */
+  parseValue(rest, indent, lineNumber, allowSameIndentSequence) {
+    if (rest === '') {
+      const next = this.peek();
+      if (next === null) return null;
+
+      const nextIndent = this.indentAt(next);
+      if (nextIndent > indent) {
+        return this.parseBlock(nextIndent);
+      }
+      if (allowSameIndentSequence && nextIndent === indent && isSequenceEntry(this.contentAt(next))) {
+        return this.parseSequence(indent);
+      }
+      return null;
+    }
+
+    if (rest[0] === '|' || rest[0] === '>') {
+      return this.parseBlockScalar(rest, indent, lineNumber);
+    }
+
+    if (rest[0] === '[' || rest[0] === '{') {
+      // Flow collections may continue over several lines
+      let text = rest;
+      while (!isBalanced(text) && this.pos < this.lines.length) {
+        text += ' ' + stripComment(this.lines[this.pos].trim());
+        this.pos++;
+      }
+      return parseInlineValue(text, lineNumber);
+    }
+
+    return parseInlineValue(rest, lineNumber);
+  }
+
+  parseBlockScalar(header, indent, lineNumber) {
+    const match = header.match(/^([|>])([1-9])?([-+])?([1-9])?$/);
+    if (!match) {
+      throw new YamlError(`Invalid block scalar header "${header}"`, lineNumber);
+    }
+
+    const folded = match[1] === '>';
+    const chomping = match[3] || '';
+    const explicitIndent = match[2] || match[4];
+    let blockIndent = explicitIndent ? indent + parseInt(explicitIndent, 10) : null;
+
+    const lines = [];
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      if (line.trim() === '') {
+        lines.push('');
+        this.pos++;
+        continue;
+      }
+
+      const lineIndent = line.length - line.trimStart().length;
+      if (blockIndent === null) {
+        if (lineIndent <= indent) break;
+        blockIndent = lineIndent;
+      }
+      if (lineIndent < blockIndent) break;
+
+      lines.push(line.slice(blockIndent));
+      this.pos++;
+    }
+
+    // Trailing blank lines belong to the scalar only under "keep" chomping
+    let trailingBlank = 0;
+    while (trailingBlank < lines.length && lines[lines.length - 1 - trailingBlank] === '') {
+      trailingBlank++;
+    }
+    const contentLines = lines.slice(0, lines.length - trailingBlank);
+    if (contentLines.length === 0) {
+      return chomping === '+' ? '\n'.repeat(trailingBlank) : '';
+    }
+
+    const text = folded ? foldLines(contentLines) : contentLines.join('\n');
+    if (chomping === '-') return text;
+    if (chomping === '+') return text + '\n'.repeat(trailingBlank + 1);
+    return text + '\n';
+  }
+}
+
+/**
+ * Join folded (>) block scalar lines: single line breaks become spaces,
+ * each blank line becomes a line break and more-indented lines are kept
+ */
+function foldLines(lines) {
+  let result = lines[0];
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i];
+    const previous = lines[i - 1];
+
+    if (line === '') {
+      result += '\n';
+    } else if (previous === '') {
+      result += /^\s/.test(line) ? '\n' + line : line;
+    } else if (/^\s/.test(line) || /^\s/.test(previous)) {
+      result += '\n' + line;
+    } else {
+      result += ' ' + line;
+    }
+  }
+  return result;
+}
+
+function isSequenceEntry(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+function isMappingStart(text) {
+  if (text[0] === '[' || text[0] === '{') return false;
+  return findMappingColon(text) !== -1;
+}
+
+/**
+ * Find the colon that separates a key from its value, ignoring colons
+ * inside quotes or flow collections and colons not followed by a space
+ * @returns {number} Index of the colon or -1
+ */
+function findMappingColon(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s,[{]/.test(text[i - 1]))) {
+      i = skipQuoted(text, i);
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    } else if (ch === ':' && depth === 0 && (i + 1 === text.length || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Return the index of the closing quote for the quoted string starting at start
+ */
+function skipQuoted(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Remove a trailing "# comment" that is not inside quotes
+ */
+function stripComment(text) {
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ((ch === '"' || ch === "'") && (i === 0 || /[\s,[{:-]/.test(text[i - 1]))) {
+      i = skipQuoted(text, i);
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function isBalanced(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' || ch === "'") {
+      i = skipQuoted(text, i);
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+function parseKey(text, lineNumber) {
+  if (text[0] === '"' || text[0] === "'") {
+    const [key, end] = parseQuoted(text, 0, lineNumber);
+    if (text.slice(end).trim() !== '') {
+      throw new YamlError(`Invalid key ${text}`, lineNumber);
+    }
+    return key;
+  }
+  return text;
+}
+
+/**
+ * Parse a single-line value: scalar, quoted string or flow collection
+ */
+function parseInlineValue(text, lineNumber) {
+  try {
+    const [value, end] = parseFlowValue(text, 0, lineNumber, false);
+    if (text.slice(end).trim() !== '') {
+      throw new YamlError(`Unexpected "${text.slice(end).trim()}" after value`, lineNumber);
+    }
+    return value;
+  } catch (err) {
+    // Older versions wrote strings as "..." without escaping inner quotes
+    // or backslashes; read those the way they were written
+    if (err instanceof YamlError && text.length > 1 && text.startsWith('"') && text.endsWith('"')) {
+      return text.slice(1, -1);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Parse a value starting at index i
+ * @param {boolean} inFlow - Whether the value is inside [ ] or { }
+ * @returns {[any, number]} Parsed value and the index after it
+ */
+function parseFlowValue(text, i, lineNumber, inFlow) {
+  while (text[i] === ' ') i++;
+  const ch = text[i];
+
+  if (ch === '[') return parseFlowSequence(text, i, lineNumber);
+  if (ch === '{') return parseFlowMapping(text, i, lineNumber);
+  if (ch === '"' || ch === "'") return parseQuoted(text, i, lineNumber);
+
+  let end = i;
+  while (end < text.length) {
+    const c = text[end];
+    if (inFlow && (c === ',' || c === ']' || c === '}')) break;
+    if (inFlow && c === ':' && (text[end + 1] === ' ' || text[end + 1] === ',' || end + 1 === text.length)) break;
+    end++;
+  }
+  return [parseScalar(text.slice(i, end).trim()), end];
+}
+
+function parseFlowSequence(text, start, lineNumber) {
+  const result = [];
+  let i = start + 1;
+
+  while (true) {
+    while (text[i] === ' ') i++;
+    if (i >= text.length) throw new YamlError('Unterminated flow sequence', lineNumber);
+    if (text[i] === ']') return [result, i + 1];
+
+    const [value, end] = parseFlowValue(text, i, lineNumber, true);
+    result.push(value);
+    i = end;
+
+    while (text[i] === ' ') i++;
+    if (text[i] === ',') {
+      i++;
+    } else if (text[i] !== ']') {
+      throw new YamlError('Expected "," or "]" in flow sequence', lineNumber);
+    }
+  }
+}
+
+function parseFlowMapping(text, start, lineNumber) {
+  const result = {};
+  let i = start + 1;
+
+  while (true) {
+    while (text[i] === ' ') i++;
+    if (i >= text.length) throw new YamlError('Unterminated flow mapping', lineNumber);
+    if (text[i] === '}') return [result, i + 1];
+
+    const [key, keyEnd] = parseFlowValue(text, i, lineNumber, true);
+    i = keyEnd;
+    while (text[i] === ' ') i++;
+
+    let value = null;
+    if (text[i] === ':') {
+      [value, i] = parseFlowValue(text, i + 1, lineNumber, true);
+    }
+    result[key === null ? '' : String(key)] = value;
+
+    while (text[i] === ' ') i++;
+    if (text[i] === ',') {
+      i++;
+    } else if (text[i] !== '}') {
+      throw new YamlError('Expected "," or "}" in flow mapping', lineNumber);
+    }
+  }
+}
+
+const ESCAPES = {
+  '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v',
+  'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\'
+};
+
+function parseQuoted(text, start, lineNumber) {
+  const quote = text[start];
+  let result = '';
+
+  for (let i = start + 1; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote === "'" && ch === "'") {
+      if (text[i + 1] === "'") {
+        result += "'";
+        i++;
+        continue;
+      }
+      return [result, i + 1];
+    }
+
+    if (quote === '"' && ch === '"') {
+      return [result, i + 1];
+    }
+
+    if (quote === '"' && ch === '\\') {
+      const next = text[i + 1];
+      if (next in ESCAPES) {
+        result += ESCAPES[next];
+        i++;
+      } else if (next === 'x' || next === 'u' || next === 'U') {
+        const length = { x: 2, u: 4, U: 8 }[next];
+        const hex = text.slice(i + 2, i + 2 + length);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) {
+          throw new YamlError(`Invalid escape "\\${next}${hex}"`, lineNumber);
+        }
+        result += String.fromCodePoint(parseInt(hex, 16));
+        i += 1 + length;
+      } else {
+        throw new YamlError(`Invalid escape "\\${next || ''}"`, lineNumber);
+      }
+      continue;
+    }
+
+    result += ch;
+  }
+
+  throw new YamlError('Unterminated quoted string', lineNumber);
+}
+
+/**
+ * Convert a plain (unquoted) scalar to null, boolean, number or string
+ */
+function parseScalar(value) {
+  if (value === '' || value === 'null' || value === 'Null' || value === 'NULL' || value === '~') {
+    return null;
+  }
+  if (value === 'true' || value === 'True' || value === 'TRUE') return true;
+  if (value === 'false' || value === 'False' || value === 'FALSE') return false;
+  if (/^[-+]?\d+$/.test(value)) return parseInt(value, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+  return value;
 }
 
 /**
  * Serialize an object to YAML frontmatter format
  * @param {Object} data - Object to serialize
+ * @param {number} indent - Number of spaces to indent each key
  * @returns {string} YAML frontmatter string (without --- delimiters)
  */
-export function serializeToYaml(data) {
+export function serializeToYaml(data, indent = 0) {
   return Object.entries(data)
-    .map(([key, value]) => {
-      if (value === null) {
-        return `${key}: null`;
-      } else if (typeof value === 'string') {
-        return `${key}: "${value}"`;
-      } else if (Array.isArray(value)) {
-        return `${key}: ["${value.join('", "')}"]`;
-      } else {
-        return `${key}: ${value}`;
-      }
-    })
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => serializeEntry(formatKey(key), value, indent))
     .join('\n');
 }
 
+/**
+ * Serialize an object into existing YAML, keeping its layout where possible
+ *
+ * Top-level keys keep their order, and entries whose value is unchanged are
+ * copied as written, with their comments, quoting and block style. Changed
+ * entries are rewritten in place, new keys go at the end and keys that are
+ * no longer in the object are removed.
+ * @param {Object} data - Object to serialize
+ * @param {string} source - YAML the object was read from
+ * @returns {string} YAML frontmatter string (without --- delimiters)
+ */
+export function updateYaml(data, source) {
+  const entries = splitEntries(source);
+  if (!entries) return serializeToYaml(data);
+
+  const lines = [];
+  const written = new Set();
+  let previous = null;
+  // Blank lines right after a keep-chomping block scalar would be read as part of it
+  const pushLeading = leading => {
+    const end = leading.findIndex(line => line.trim() !== '');
+    const blank = end === -1 ? leading.length : end;
+    if (blank > 0 && previous !== null && previous.split('\n').some(line => KEEP_CHOMPING.test(line)) &&
+        JSON.stringify(parseYaml(previous)) !== JSON.stringify(parseYaml([previous, ...leading.slice(0, blank)].join('\n')))) {
+      leading = leading.slice(blank);
+    }
+    lines.push(...leading);
+  };
+
+  for (const entry of entries.filter(e => e.key !== null)) {
+    const value = data[entry.key];
+    if (value !== undefined && !written.has(entry.key)) {
+      written.add(entry.key);
+      pushLeading(entry.leading);
+      previous = JSON.stringify(value) === JSON.stringify(entry.value)
+        ? entry.lines.join('\n')
+        : serializeEntry(formatKey(entry.key), value, 0);
+      lines.push(previous);
+    }
+  }
+
+  const added = Object.fromEntries(Object.entries(data).filter(([key]) => !written.has(key)));
+  if (Object.keys(added).length > 0) lines.push(serializeToYaml(added));
+
+  // Comments after the last entry stay at the end
+  const trailing = entries.find(e => e.key === null);
+  if (trailing && trailing.lines.some(line => line.trim() !== '')) pushLeading(trailing.lines);
+  return lines.join('\n');
+}
+
+/**
+ * Split YAML into its top-level entries, each with the comment and blank
+ * lines above it and the value it parses to
+ * @returns {Object[]|null} { key, value, leading, lines } per entry, with a final
+ *   { key: null, lines } for trailing comments, or null if the YAML can't be split
+ */
+function splitEntries(source) {
+  const entries = [];
+  let pending = [];
+
+  for (const line of source.split('\n')) {
+    const trimmed = line.trim();
+    const startsEntry = line === line.trimStart() && trimmed !== '' &&
+      !trimmed.startsWith('#') && !isSequenceEntry(trimmed);
+
+    if (startsEntry) {
+      entries.push({ leading: pending, lines: [line] });
+      pending = [];
+    } else if (trimmed === '' || (trimmed.startsWith('#') && line === line.trimStart())) {
+      pending.push(line);
+    } else if (entries.length > 0) {
+      // Continuation of the current entry, including comments nested in it
+      entries[entries.length - 1].lines.push(...pending, line);
+      pending = [];
+    } else {
+      return null;
+    }
+  }
+
+  try {
+    entries.forEach((entry, i) => {
+      const parsed = parseYaml(entry.lines.join('\n'));
+      const keys = isPlainObject(parsed) ? Object.keys(parsed) : [];
+      if (keys.length !== 1) return;
+      entry.key = keys[0];
+      entry.value = parsed[entry.key];
+
+      // Blank lines after a keep-chomping block scalar ("|+") are part of its
+      // value, so they stay with the entry rather than the one after it
+      if (entry.lines.some(line => KEEP_CHOMPING.test(line))) {
+        const following = i + 1 < entries.length ? entries[i + 1].leading : pending;
+        const end = following.findIndex(line => line.trim() !== '');
+        const blank = following.slice(0, end === -1 ? following.length : end);
+        if (blank.length === 0) return;
+
+        const value = parseYaml([...entry.lines, ...blank].join('\n'))[entry.key];
+        if (JSON.stringify(value) !== JSON.stringify(entry.value)) {
+          entry.lines.push(...following.splice(0, blank.length));
+          entry.value = value;
+        }
+      }
+    });
+    if (entries.some(entry => entry.key === undefined)) return null;
+  } catch (err) {
+    if (err instanceof YamlError) return null;
+    throw err;
+  }
+
+  if (pending.length > 0) entries.push({ key: null, lines: pending });
+  return entries;
+}
+
+function serializeEntry(key, value, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${pad}${key}: []`;
+    if (value.every(isFlowScalar)) {
+      return `${pad}${key}: [${value.map(formatScalar).join(', ')}]`;
+    }
+    return `${pad}${key}:\n${value.map(item => serializeSequenceItem(item, indent + 2)).join('\n')}`;
+  }
+
+  if (isPlainObject(value)) {
+    if (Object.keys(value).length === 0) return `${pad}${key}: {}`;
+    return `${pad}${key}:\n${serializeToYaml(value, indent + 2)}`;
+  }
+
+  if (typeof value === 'string' && value.includes('\n')) {
+    return `${pad}${key}: ${serializeBlockScalar(value, indent)}`;
+  }
+
+  return `${pad}${key}: ${formatScalar(value)}`;
+}
+
+function serializeSequenceItem(item, indent) {
+  const pad = ' '.repeat(indent);
+
+  if (isPlainObject(item) && Object.keys(item).length > 0) {
+    // First key goes on the "- " line, the rest line up beneath it
+    return pad + '- ' + serializeToYaml(item, indent + 2).slice(indent + 2);
+  }
+
+  if (Array.isArray(item) && item.length > 0 && !item.every(isFlowScalar)) {
+    const nested = item.map(child => serializeSequenceItem(child, indent + 2)).join('\n');
+    return pad + '- ' + nested.slice(indent + 2);
+  }
+
+  if (typeof item === 'string' && item.includes('\n')) {
+    return `${pad}- ${serializeBlockScalar(item, indent)}`;
+  }
+
+  return `${pad}- ${formatInline(item)}`;
+}
+
+/**
+ * Write a multiline string as a literal block scalar
+ * @param {string} value - String containing newlines
+ * @param {number} indent - Indent of the owning key or entry
+ */
+function serializeBlockScalar(value, indent) {
+  const trailing = value.match(/\n*$/)[0].length;
+  const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const content = trailing > 0 ? value.slice(0, -1) : value;
+  const lines = content.split('\n');
+  const indicator = /^\s/.test(lines[0]) ? '2' : '';
+  const pad = ' '.repeat(indent + 2);
+
+  return `|${indicator}${chomping}\n` + lines.map(line => (line === '' ? '' : pad + line)).join('\n');
+}
+
+function formatInline(value) {
+  if (Array.isArray(value)) return `[${value.map(formatInline).join(', ')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.entries(value).map(([k, v]) => `${formatKey(k)}: ${formatInline(v)}`).join(', ')}}`;
+  }
+  return formatScalar(value);
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return quoteString(value);
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'null';
+  return String(value);
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_][\w-]*$/.test(key) ? key : quoteString(key);
+}
+
+function quoteString(value) {
+  const escaped = value.replace(/[\\"\x00-\x1f\x7f]/g, ch => {
+    switch (ch) {
+      case '\\': return '\\\\';
+      case '"': return '\\"';
+      case '\n': return '\\n';
+      case '\t': return '\\t';
+      case '\r': return '\\r';
+      default: return '\\x' + ch.charCodeAt(0).toString(16).padStart(2, '0');
+    }
+  });
+  return `"${escaped}"`;
+}
+
+function isFlowScalar(value) {
+  return value === null || value === undefined || typeof value !== 'object';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Set frontmatter keys of a markdown document, keeping the rest of it as written
+ * @param {string} content - Markdown content
+ * @param {Object} changes - Keys to set, an undefined value removes the key
+ * @returns {string} Updated document
+ * @throws {YamlError} If the frontmatter is malformed
+ */
+export function updateMarkdown(content, changes) {
+  const normalized = content.replace(/\r\n/g, '\n');
+  const match = normalized.match(FRONTMATTER);
+  if (!match) return createMarkdown(changes, normalized);
+
+  const parsed = parseYaml(match[1]);
+  const frontmatter = { ...(isPlainObject(parsed) ? parsed : {}), ...changes };
+  return createMarkdown(frontmatter, match[2], match[1]);
+}
+
 /**
  * Create a full markdown document with frontmatter
  * @param {Object} frontmatter - Frontmatter data
  * @param {string} body - Body content
+ * @param {string|null} source - Frontmatter of the file being replaced, whose layout is kept
  * @returns {string} Complete markdown document
  */
-export function createMarkdown(frontmatter, body = '') {
-  return `---\n${serializeToYaml(frontmatter)}\n---\n${body}`;
+export function createMarkdown(frontmatter, body = '', source = null) {
+  const yaml = source === null ? serializeToYaml(frontmatter) : updateYaml(frontmatter, source);
+  return `---\n${yaml}\n---\n${body}`;
 }
@@ -0,0 +1,73 @@
+/**
+ * Members - Team members listed in project.md
+ *
+ *   members:
+ *     - handle: alice
+ *       name: Alice Martin
+ *       color: "#f472b6"
+ *     - bob
+ *
+ * Tasks store the member's handle in their `assignee` field.
+ */
+
+import { isValidColor, hashColor } from './workflow.js';
+
+// Avatar colours for members without one, picked by hashing the handle
+const AVATAR_COLORS = ['#6366f1', '#22c55e', '#f59e0b', '#ef4444', '#06b6d4', '#a855f7', '#ec4899', '#84cc16'];
+
+/**
+ * Normalize the members list from project.md
+ * @param {Array<string|Object>} raw - Members as stored in project.md
+ * @returns {Object[]} Array of { handle, name, color }
+ */
+export function normalizeMembers(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const seen = new Set();
+  const members = [];
+
+  for (const entry of raw) {
+    const config = entry !== null && typeof entry === 'object' ? entry : { handle: entry };
+    const handle = config.handle ?? config.name;
+    if (handle === null || handle === undefined || handle === '') continue;
+
+    const id = String(handle);
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    members.push({
+      handle: id,
+      name: config.name ? String(config.name) : id,
+      color: isValidColor(config.color) ? config.color : hashColor(id, AVATAR_COLORS)
+    });
+  }
+
+  return members;
+}
+
+/**
+ * Find the member an assignee refers to, or describe an unknown assignee
+ * @param {Object[]} members - Normalized members
+ * @param {string} assignee - Assignee as stored in the task
+ * @returns {Object|null} Member (with `unknown: true` if not listed), or null when unassigned
+ */
+export function resolveAssignee(members, assignee) {
+  if (assignee === null || assignee === undefined || assignee === '') return null;
+
+  const value = String(assignee);
+  const member = members.find(m => m.handle === value) ||
+    members.find(m => m.name.toLowerCase() === value.toLowerCase());
+  return member || { handle: value, name: value, color: hashColor(value, AVATAR_COLORS), unknown: true };
+}
+
+/**
+ * Initials shown in an avatar
+ * @param {string} name - Display name
+ * @returns {string} One or two letters
+ */
+export function getInitials(name) {
+  const words = name.trim().split(/[\s._-]+/).filter(Boolean);
+  if (words.length === 0) return '?';
+  if (words.length === 1) return words[0].slice(0, 2).toUpperCase();
+  return (words[0][0] + words[words.length - 1][0]).toUpperCase();
+}
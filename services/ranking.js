@@ -0,0 +1,117 @@
+/**
+ * Ranking - Manual task order stored in a `rank` field
+ *
+ * Ranks are base-36 strings compared character by character, so there is
+ * always room for a new rank between two others and moving a task only
+ * rewrites that task's file. Tasks without a rank sort after ranked ones.
+ */
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+/**
+ * Check that a rank can be compared and ranked around
+ * @param {any} rank - Value from the task's frontmatter
+ * @returns {boolean}
+ */
+export function isValidRank(rank) {
+  // A trailing "0" would leave no room directly before the rank
+  return typeof rank === 'string' && /^[0-9a-z]*[1-9a-z]$/.test(rank);
+}
+
+/**
+ * Create a rank that sorts between two others
+ * @param {string|null} before - Rank to sort after, or null for the start
+ * @param {string|null} after - Rank to sort before, or null for the end
+ * @returns {string}
+ */
+export function rankBetween(before = null, after = null) {
+  const low = before || '';
+  let high = after && after > low ? after : null;
+  let rank = '';
+
+  for (let i = 0; ; i++) {
+    const lo = i < low.length ? DIGITS.indexOf(low[i]) : 0;
+    const hi = high === null ? BASE : i < high.length ? DIGITS.indexOf(high[i]) : 0;
+
+    if (hi - lo > 1) {
+      return rank + DIGITS[(lo + hi) >> 1];
+    }
+
+    rank += DIGITS[lo];
+    // Once the prefix is below `after`, any continuation is too
+    if (hi - lo === 1) high = null;
+  }
+}
+
+/**
+ * Create evenly spaced ranks of equal length after a rank
+ * @param {string|null} after - Rank the sequence follows, or null
+ * @param {number} count - Number of ranks
+ * @returns {string[]}
+ */
+export function rankSequence(after, count) {
+  // Enough digits for a gap of at least BASE between neighbours
+  let width = 1;
+  while (BASE ** width < (count + 1) * BASE) width++;
+
+  const step = Math.floor(BASE ** width / (count + 1));
+  const prefix = after || '';
+  return Array.from({ length: count }, (_, i) => {
+    let value = (i + 1) * step;
+    if (value % BASE === 0) value++;
+    return prefix + value.toString(BASE).padStart(width, '0');
+  });
+}
+
+/**
+ * Sort comparator: by rank, unranked tasks last, ties by ID
+ */
+export function compareRank(a, b) {
+  const rankA = isValidRank(a.rank) ? a.rank : null;
+  const rankB = isValidRank(b.rank) ? b.rank : null;
+
+  if (rankA !== rankB) {
+    if (rankA === null) return 1;
+    if (rankB === null) return -1;
+    return rankA < rankB ? -1 : 1;
+  }
+  return a.id - b.id;
+}
+
+/**
+ * Copy of a task list in rank order
+ * @param {Object[]} tasks - Tasks
+ * @returns {Object[]}
+ */
+export function sortByRank(tasks) {
+  return [...tasks].sort(compareRank);
+}
+
+/**
+ * Work out the rank for a task inserted into an ordered list
+ * @param {Object[]} ordered - Tasks in display order, without the moved task
+ * @param {number} index - Position to insert at
+ * @returns {Object} { rank, updates: [{ task, rank }] } where updates rank
+ *   unranked tasks above the position, which only happens once per task
+ */
+export function planMove(ordered, index) {
+  const neighbours = ordered.slice(0, Math.min(index + 1, ordered.length));
+  const ranks = neighbours.map(task => (isValidRank(task.rank) ? task.rank : null));
+  const updates = [];
+
+  // Unranked tasks sort last, so they form the tail of the list
+  const firstUnranked = ranks.indexOf(null);
+  if (firstUnranked !== -1) {
+    const previous = firstUnranked > 0 ? ranks[firstUnranked - 1] : null;
+    const sequence = rankSequence(previous, neighbours.length - firstUnranked);
+    sequence.forEach((rank, i) => {
+      ranks[firstUnranked + i] = rank;
+      updates.push({ task: neighbours[firstUnranked + i], rank });
+    });
+  }
+
+  const before = index > 0 ? ranks[index - 1] : null;
+  const after = index < ordered.length ? ranks[index] : null;
+  return { rank: rankBetween(before, after), updates };
+}
@@ -0,0 +1,72 @@
+/**
+ * SavedViews - Named searches listed in the sidebar, stored in project.md
+ *
+ *   views:
+ *     - id: my-bugs
+ *       name: My bugs
+ *       query: "label:bug assignee:alice -is:done"
+ *       layout: board
+ *
+ * The query uses the search syntax, so any filter the search supports can be saved.
+ */
+
+export const VIEW_LAYOUTS = ['list', 'board'];
+
+/**
+ * Normalize the views list from project.md
+ * @param {Object[]} raw - Views as stored in project.md
+ * @returns {Object[]} Array of { id, name, query, layout }
+ */
+export function normalizeViews(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const views = [];
+  for (const entry of raw) {
+    if (entry === null || typeof entry !== 'object' || !entry.name) continue;
+
+    const name = String(entry.name);
+    views.push({
+      id: entry.id ? String(entry.id) : createViewId(name, views),
+      name,
+      query: entry.query ? String(entry.query) : '',
+      layout: VIEW_LAYOUTS.includes(entry.layout) ? entry.layout : 'list'
+    });
+  }
+
+  // Hand-edited files may repeat an id
+  for (const view of views) {
+    if (views.filter(v => v.id === view.id).length > 1) {
+      view.id = createViewId(view.name, views);
+    }
+  }
+
+  return views;
+}
+
+/**
+ * Create an id from a view name that no other view uses
+ * @param {string} name - View name
+ * @param {Object[]} views - Existing views
+ * @returns {string}
+ */
+export function createViewId(name, views) {
+  const base = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'view';
+
+  let id = base;
+  for (let n = 2; views.some(view => view.id === id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Turn a view back into the form written to project.md
+ * @param {Object} view - Normalized view
+ * @returns {Object}
+ */
+export function serializeView(view) {
+  return { id: view.id, name: view.name, query: view.query, layout: view.layout };
+}
@@ -0,0 +1,299 @@
+/**
+ * SearchIndex - Inverted index over task titles and descriptions
+ *
+ * Words are indexed per task file. A query word matches every indexed word
+ * it is a prefix of, and title hits rank above description hits. The index
+ * is kept in step with the task list by sync(), which only re-indexes tasks
+ * whose file changed.
+ */
+
+// Tasks indexed before yielding to the browser, so large projects don't freeze the UI
+const CHUNK_SIZE = 200;
+
+// Per query word: exact word / prefix of a word
+const TITLE_SCORE = { exact: 100, prefix: 60 };
+const BODY_SCORE = { exact: 10, prefix: 6 };
+
+// Cap on the extra score for a word repeated in the description
+const MAX_REPEAT_BONUS = 5;
+
+// Characters of context kept around the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(WORD) || []);
+}
+
+export class SearchIndex {
+  constructor() {
+    this.postings = new Map();
+    this.docs = new Map();
+    this.sortedWords = null;
+    this.pending = Promise.resolve();
+    this.indexing = false;
+  }
+
+  /**
+   * Bring the index in line with a task list, re-indexing only changed tasks
+   * @param {Object[]} tasks - All tasks of the project
+   * @returns {Promise<void>} Resolves when the index is up to date
+   */
+  sync(tasks) {
+    // Queue behind a sync that is still running so updates apply in order
+    this.pending = this.pending.then(() => this.runSync(tasks));
+    return this.pending;
+  }
+
+  /**
+   * Whether a sync is still working through tasks
+   * @returns {boolean}
+   */
+  isIndexing() {
+    return this.indexing;
+  }
+
+  /**
+   * Wait for queued syncs to finish
+   * @returns {Promise<void>}
+   */
+  whenReady() {
+    return this.pending;
+  }
+
+  async runSync(tasks) {
+    const present = new Set();
+    const changed = [];
+
+    for (const task of tasks) {
+      present.add(task.filename);
+      const doc = this.docs.get(task.filename);
+      if (!doc || doc.version !== getVersion(task)) changed.push(task);
+    }
+
+    for (const key of this.docs.keys()) {
+      if (!present.has(key)) this.remove(key);
+    }
+
+    this.indexing = changed.length > CHUNK_SIZE;
+    for (let i = 0; i < changed.length; i++) {
+      this.add(changed[i]);
+      if ((i + 1) % CHUNK_SIZE === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+    this.indexing = false;
+  }
+
+  add(task) {
+    this.remove(task.filename);
+
+    const counts = new Map();
+    const count = (word, field) => {
+      if (!counts.has(word)) counts.set(word, { title: 0, body: 0 });
+      counts.get(word)[field]++;
+    };
+    tokenize(task.title).forEach(word => count(word, 'title'));
+    tokenize(task.body).forEach(word => count(word, 'body'));
+
+    for (const [word, hits] of counts) {
+      if (!this.postings.has(word)) {
+        this.postings.set(word, new Map());
+        this.sortedWords = null;
+      }
+      this.postings.get(word).set(task.filename, hits);
+    }
+
+    this.docs.set(task.filename, { version: getVersion(task), words: [...counts.keys()] });
+  }
+
+  remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return;
+
+    for (const word of doc.words) {
+      const entries = this.postings.get(word);
+      entries.delete(key);
+      if (entries.size === 0) {
+        this.postings.delete(word);
+        this.sortedWords = null;
+      }
+    }
+    this.docs.delete(key);
+  }
+
+  /**
+   * Find tasks containing every word of the text, as words or word prefixes
+   * @param {string} text - Free text
+   * @returns {Map<string, number>|null} Task filename to score, or null if the text has no words
+   */
+  match(text) {
+    const words = tokenize(text);
+    if (words.length === 0) return null;
+
+    let scores = null;
+    for (const word of words) {
+      const wordScores = this.matchWord(word);
+      if (scores === null) {
+        scores = wordScores;
+        continue;
+      }
+
+      // Every word has to match
+      for (const [key, score] of scores) {
+        if (wordScores.has(key)) {
+          scores.set(key, score + wordScores.get(key));
+        } else {
+          scores.delete(key);
+        }
+      }
+    }
+    return scores;
+  }
+
+  matchWord(word) {
+    const scores = new Map();
+
+    for (const indexed of this.expand(word)) {
+      const kind = indexed === word ? 'exact' : 'prefix';
+      for (const [key, hits] of this.postings.get(indexed)) {
+        let score = 0;
+        if (hits.title > 0) score += TITLE_SCORE[kind];
+        if (hits.body > 0) score += BODY_SCORE[kind] + Math.min(hits.body - 1, MAX_REPEAT_BONUS);
+        scores.set(key, Math.max(scores.get(key) || 0, score));
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Indexed words starting with a prefix
+   * @param {string} prefix - Lowercase word
+   * @returns {string[]}
+   */
+  expand(prefix) {
+    if (!this.sortedWords) {
+      this.sortedWords = [...this.postings.keys()].sort();
+    }
+
+    // Binary search for the first word >= prefix, then walk while it still matches
+    let low = 0;
+    let high = this.sortedWords.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedWords[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const words = [];
+    for (let i = low; i < this.sortedWords.length && this.sortedWords[i].startsWith(prefix); i++) {
+      words.push(this.sortedWords[i]);
+    }
+    return words;
+  }
+}
+
+/**
+ * The first description line containing one of the search words
+ * @param {string} body - Task description
+ * @param {string[]} terms - Free-text terms of the query
+ * @returns {Object|null} { text, ranges: [start, end][] } with ranges of matched words, or null
+ */
+export function getSnippet(body, terms) {
+  const words = terms.flatMap(tokenize);
+  if (!body || words.length === 0) return null;
+
+  for (const rawLine of body.split('\n')) {
+    // Drop heading, list, quote and checkbox markers
+    const line = rawLine.replace(/^\s*(?:#+|[-*+>]|\d+[.)])?\s*(?:\[[ xX]\]\s*)?/, '').trim();
+    const ranges = findWordRanges(line, words);
+    if (ranges.length === 0) continue;
+
+    // Keep long lines short, centred on the first match
+    const start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT);
+    const end = Math.min(line.length, ranges[0][1] + SNIPPET_CONTEXT);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < line.length ? '…' : '';
+    const shift = prefix.length - start;
+
+    return {
+      text: prefix + line.slice(start, end) + suffix,
+      ranges: ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from + shift, to + shift])
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Ranges of words in text that start with one of the search words
+ * @param {string} text - Text to search
+ * @param {string[]} words - Lowercase search words
+ * @returns {Array<[number, number]>} Start and end offsets of each matched prefix
+ */
+export function findWordRanges(text, words) {
+  const ranges = [];
+  for (const match of text.matchAll(WORD)) {
+    const word = match[0].toLowerCase();
+    const hit = words.filter(w => word.startsWith(w)).sort((a, b) => b.length - a.length)[0];
+    if (hit) ranges.push([match.index, match.index + hit.length]);
+  }
+  return ranges;
+}
+
+/**
+ * Check whether text has the words of a phrase next to each other, the last
+ * one possibly as a prefix the way single words match
+ * @param {string} text - Text to search
+ * @param {string[]} words - Lowercase phrase words
+ * @returns {boolean}
+ */
+export function containsPhrase(text, words) {
+  const tokens = tokenize(text);
+  const last = words.length - 1;
+  for (let i = 0; i + last < tokens.length; i++) {
+    if (words.every((word, j) => (j === last ? tokens[i + j].startsWith(word) : tokens[i + j] === word))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Free-text matcher for evaluateQuery backed by an index
+ * @param {SearchIndex} index - Index of the tasks being filtered
+ * @returns {Function} (task, text, phrase) => score, or null if the text isn't found
+ */
+export function createTextMatcher(index) {
+  const hits = new Map();
+  return (task, text, phrase = false) => {
+    if (!hits.has(text)) hits.set(text, index.match(text));
+    const matches = hits.get(text);
+    if (matches) {
+      const score = matches.get(task.filename) ?? null;
+      // The index only knows each word is there, a quoted phrase needs them in order
+      const words = tokenize(text);
+      if (score === null || !phrase || words.length < 2) return score;
+      return containsPhrase(task.title, words) || containsPhrase(task.body, words) ? score : null;
+    }
+
+    // Text without any words, like "#": look for it literally in the title
+    return task.title.toLowerCase().includes(text.toLowerCase()) ? 0 : null;
+  };
+}
+
+// Changes whenever the task is saved or its file is edited elsewhere
+function getVersion(task) {
+  return `${task.updatedAt}|${task.fileState?.lastModified ?? ''}`;
+}
+
+export default new SearchIndex();
@@ -0,0 +1,429 @@
+/**
+ * SearchQuery - Query language for the task search
+ *
+ *   login bug                   free text, matched against title and description
+ *   "sign in"                   phrase, the words next to each other
+ *   status:in-progress          field filter
+ *   sprint:"Sprint 3"           quoted value
+ *   points:>3  id:42            numeric comparison (>, >=, <, <=, =)
+ *   parent:12                   subtasks of a task
+ *   epic:"Checkout redesign"    tasks in an epic, by name or ID (epic:none for none)
+ *   updated:<7d                 changed within the last 7 days (h, d or w)
+ *   updated:>2026-01-01         changed after a date
+ *   -status:done                negation
+ *   priority:high OR label:bug  either side matches
+ *   (a OR b) c                  grouping
+ *   component:api  due:<2026-12-01  custom fields from project.md, by key
+ *
+ * Terms next to each other must all match. OR binds tighter than that, so
+ * `a b OR c` means a AND (b OR c).
+ */
+
+import { hasLabel } from './labels.js';
+import { resolveAssignee } from './members.js';
+import { getFieldValue } from './customFields.js';
+import { getParentId } from './subtasks.js';
+import { getOpenBlockers } from './taskLinks.js';
+import { getEpicId } from './epicService.js';
+
+const COMPARISON = /^(>=|<=|>|<|=)?(.+)$/;
+const DURATION_UNITS = { h: 3600000, d: 86400000, w: 604800000 };
+const IS_VALUES = ['backlog', 'done', 'open', 'active', 'assigned', 'unassigned', 'blocked'];
+
+/**
+ * Error thrown for a query that cannot be parsed
+ */
+export class QueryError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {number} position - Character offset in the query where the problem is
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+// Field name to a parser turning the raw value into a matcher
+const FIELDS = {
+  status: value => (task, context) => {
+    const key = value.toLowerCase();
+    const status = context.statuses.find(s => s.id === task.status);
+    return String(task.status).toLowerCase() === key || status?.name.toLowerCase() === key;
+  },
+  priority: value => task => String(task.priority).toLowerCase() === value.toLowerCase(),
+  sprint: value => (task, context) => {
+    const key = value.toLowerCase();
+    if (key === 'backlog' || key === 'none') return !task.sprint;
+    if (/^\d+$/.test(key)) return task.sprint === parseInt(key);
+    const sprint = context.sprints.find(s => s.id === task.sprint);
+    return sprint?.name.toLowerCase() === key;
+  },
+  points: (value, position) => {
+    const compare = parseNumber('points', value, position);
+    return task => compare(task.storyPoints || 0);
+  },
+  id: (value, position) => {
+    const compare = parseNumber('id', value, position);
+    return task => compare(task.id);
+  },
+  parent: (value, position) => {
+    const id = parseInt(value.replace(/^#/, ''));
+    if (!/^#?\d+$/.test(value)) throw new QueryError('parent: expects a task ID, like parent:12', position);
+    return task => getParentId(task) === id;
+  },
+  epic: value => (task, context) => {
+    const key = value.toLowerCase().replace(/^#(?=\d+$)/, '');
+    const id = getEpicId(task);
+    if (key === 'none') return id === null;
+    if (/^\d+$/.test(key)) return id === parseInt(key);
+    const epic = context.epics.find(e => e.id === id);
+    return !!epic && String(epic.name).toLowerCase() === key;
+  },
+  label: value => task => hasLabel(task, value),
+  assignee: value => (task, context) => {
+    const member = resolveAssignee(context.members, task.assignee);
+    const key = value.toLowerCase();
+    return !!member && (member.handle.toLowerCase() === key || member.name.toLowerCase() === key);
+  },
+  is: (value, position) => {
+    const key = value.toLowerCase();
+    if (!IS_VALUES.includes(key)) {
+      throw new QueryError(`is: expects one of ${IS_VALUES.join(', ')}`, position);
+    }
+    return (task, context) => {
+      const done = isDoneStatus(context)(task.status);
+      switch (key) {
+        case 'backlog': return !task.sprint;
+        case 'done': return done;
+        case 'open': return !done;
+        case 'active': return context.sprints.some(s => s.id === task.sprint && s.status === 'active');
+        case 'assigned': return !!task.assignee;
+        case 'unassigned': return !task.assignee;
+        case 'blocked': return getOpenBlockers(task, context.tasks, isDoneStatus(context)).length > 0;
+      }
+    };
+  },
+  updated: (value, position) => {
+    const compare = parseTime('updated', value, position);
+    return (task, context) => compare(task.updatedAt, context.now);
+  },
+  created: (value, position) => {
+    const compare = parseTime('created', value, position);
+    return (task, context) => compare(task.createdAt, context.now);
+  }
+};
+
+/**
+ * Names of the supported field filters
+ */
+export const QUERY_FIELDS = Object.keys(FIELDS);
+
+/**
+ * Parse a query into a tree of nodes
+ * @param {string} input - Query text
+ * @param {Object[]} fields - The project's custom fields, usable as filters
+ * @returns {Object|null} Root node, or null for an empty query
+ * @throws {QueryError} If the query is malformed
+ */
+export function parseQuery(input, fields = []) {
+  const tokens = tokenize(input, fields);
+  if (tokens.length === 0) return null;
+
+  let index = 0;
+  const peek = () => tokens[index];
+
+  function parseAnd() {
+    const children = [];
+    while (index < tokens.length && peek().type !== ')') {
+      children.push(parseOr());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseOr() {
+    const children = [parseUnary()];
+    while (peek()?.type === 'or') {
+      const { position } = tokens[index++];
+      if (!peek() || peek().type === ')' || peek().type === 'or') {
+        throw new QueryError('OR needs a term on both sides', position);
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseUnary() {
+    const token = tokens[index++];
+
+    switch (token.type) {
+      case 'not':
+        if (!peek() || peek().type === ')' || peek().type === 'or') {
+          throw new QueryError('- needs a term to exclude', token.position);
+        }
+        return { type: 'not', child: parseUnary() };
+      case '(': {
+        if (peek()?.type === ')') throw new QueryError('Empty group', token.position);
+        const group = parseAnd();
+        if (peek()?.type !== ')') throw new QueryError('Missing closing )', token.position);
+        index++;
+        return group;
+      }
+      case ')':
+        throw new QueryError('Unexpected )', token.position);
+      case 'or':
+        throw new QueryError('OR needs a term on both sides', token.position);
+      default:
+        return token.node;
+    }
+  }
+
+  const root = parseAnd();
+  if (index < tokens.length) {
+    throw new QueryError('Unexpected )', tokens[index].position);
+  }
+  return root;
+}
+
+/**
+ * Match a task against a parsed query
+ * @param {Object|null} node - Root node from parseQuery
+ * @param {Object} task - Task
+ * @param {Object} context - From createQueryContext
+ * @returns {number|null} Relevance score, or null if the task doesn't match
+ */
+export function evaluateQuery(node, task, context) {
+  if (!node) return 0;
+
+  switch (node.type) {
+    case 'and': {
+      let total = 0;
+      for (const child of node.children) {
+        const score = evaluateQuery(child, task, context);
+        if (score === null) return null;
+        total += score;
+      }
+      return total;
+    }
+    case 'or': {
+      let best = null;
+      for (const child of node.children) {
+        const score = evaluateQuery(child, task, context);
+        if (score !== null && (best === null || score > best)) best = score;
+      }
+      return best;
+    }
+    case 'not':
+      return evaluateQuery(node.child, task, context) === null ? 0 : null;
+    case 'field':
+      return node.match(task, context) ? 0 : null;
+    case 'text':
+      return context.matchText(task, node.text, node.phrase);
+  }
+  return null;
+}
+
+/**
+ * Free-text terms that count towards a match, for highlighting
+ * @param {Object|null} node - Root node from parseQuery
+ * @returns {string[]}
+ */
+export function getTextTerms(node) {
+  if (!node) return [];
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.children.flatMap(getTextTerms);
+    case 'text':
+      return [node.text];
+    default:
+      // Negated terms never appear in a result
+      return [];
+  }
+}
+
+/**
+ * Project data a query is evaluated against
+ * @param {Object} data - { tasks, statuses, sprints, epics, members }
+ * @param {Function} matchText - (task, text, phrase) => score or null
+ * @param {Date} now - Reference time for relative dates
+ * @returns {Object}
+ */
+export function createQueryContext(data, matchText, now = new Date()) {
+  return {
+    tasks: data.tasks || [],
+    statuses: data.statuses || [],
+    sprints: data.sprints || [],
+    epics: data.epics || [],
+    members: data.members || [],
+    matchText,
+    now
+  };
+}
+
+/**
+ * Split a query into terms, operators and parentheses
+ */
+function tokenize(input, fields) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1]) && atTermStart(input, i)) {
+      tokens.push({ type: 'not', position: i });
+      i++;
+    } else {
+      const start = i;
+      let text = '';
+      let quoted = false;
+
+      while (i < input.length && !/[\s()]/.test(input[i])) {
+        if (input[i] === '"') {
+          const end = input.indexOf('"', i + 1);
+          if (end === -1) throw new QueryError('Missing closing quote', i);
+          text += input.slice(i + 1, end);
+          quoted = true;
+          i = end + 1;
+        } else {
+          text += input[i++];
+        }
+      }
+
+      if (text === 'OR' && !quoted) {
+        tokens.push({ type: 'or', position: start });
+      } else {
+        tokens.push({ type: 'term', position: start, node: createTermNode(input.slice(start, i), text, quoted, start, fields) });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+// A "-" only negates at the start of a term, so "sign-in" stays one word
+function atTermStart(input, i) {
+  return i === 0 || /[\s(]/.test(input[i - 1]);
+}
+
+function createTermNode(raw, text, quoted, position, fields) {
+  // Quoted text is always free text, even if it contains a colon
+  const field = raw.match(/^([a-zA-Z][a-zA-Z0-9]*):/);
+  const name = field ? field[1].toLowerCase() : null;
+  const custom = field && !FIELDS[name] ? fields.find(f => f.key.toLowerCase() === name) : null;
+  if (!field || (!custom && /\d/.test(name))) {
+    return { type: 'text', text, phrase: quoted };
+  }
+
+  if (custom) {
+    const value = text.slice(field[0].length);
+    if (value === '') {
+      throw new QueryError(`${custom.key}: needs a value`, position);
+    }
+    return { type: 'field', field: custom.key, value, match: parseCustomField(custom, value, position) };
+  }
+
+  if (!FIELDS[name]) {
+    throw new QueryError(`Unknown filter "${field[1]}:" (quote the text to search for it)`, position);
+  }
+
+  const value = text.slice(field[0].length);
+  if (value === '') {
+    throw new QueryError(`${name}: needs a value`, position);
+  }
+
+  return { type: 'field', field: name, value, match: FIELDS[name](value, position) };
+}
+
+/**
+ * Matcher for a custom field: text matches part of the value, enums the
+ * whole option, numbers and dates compare like points: and updated:
+ */
+function parseCustomField(field, value, position) {
+  switch (field.type) {
+    case 'number': {
+      const compare = parseNumber(field.key, value, position);
+      return task => {
+        const actual = getFieldValue(task, field);
+        return actual !== null && compare(actual);
+      };
+    }
+    case 'date': {
+      const [, op = '=', day] = value.match(COMPARISON);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        throw new QueryError(`${field.key}: expects a date like <2026-01-01`, position);
+      }
+      return task => {
+        const actual = getFieldValue(task, field);
+        return actual !== null && compare(actual, op, day);
+      };
+    }
+    case 'enum': {
+      const key = value.toLowerCase();
+      return task => getFieldValue(task, field)?.toLowerCase() === key;
+    }
+    default: {
+      const key = value.toLowerCase();
+      return task => getFieldValue(task, field)?.toLowerCase().includes(key) || false;
+    }
+  }
+}
+
+function parseNumber(field, value, position) {
+  const [, op = '=', number] = value.match(COMPARISON);
+  if (!/^\d+(\.\d+)?$/.test(number)) {
+    throw new QueryError(`${field}: expects a number, like ${field}:>3`, position);
+  }
+  return actual => compare(actual, op, parseFloat(number));
+}
+
+function parseTime(field, value, position) {
+  const [, op, amount] = value.match(COMPARISON);
+
+  // Relative: "<7d" means less than 7 days ago, i.e. more recent than the cutoff
+  const relative = amount.match(/^(\d+)([hdw])$/);
+  if (relative) {
+    const duration = parseInt(relative[1]) * DURATION_UNITS[relative[2]];
+    const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' }[op] || '>=';
+    return (time, now) => {
+      const date = new Date(time);
+      return !isNaN(date) && compare(date.getTime(), flipped, now.getTime() - duration);
+    };
+  }
+
+  // Absolute: compared by local calendar day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(amount)) {
+    return time => {
+      const date = new Date(time);
+      return !isNaN(date) && compare(formatDay(date), op || '=', amount);
+    };
+  }
+
+  throw new QueryError(`${field}: expects an age like <7d or a date like >2026-01-01`, position);
+}
+
+function isDoneStatus(context) {
+  return id => context.statuses.find(s => s.id === id)?.done || false;
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return actual === expected;
+  }
+}
+
+function formatDay(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
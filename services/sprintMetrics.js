@@ -0,0 +1,229 @@
+/**
+ * SprintMetrics - Day-by-day sprint progress rebuilt from task history
+ */
+
+import { getFieldValueAt, getCreatedTime } from './taskHistory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guards against typos like a 2062 end date
+const MAX_SPRINT_DAYS = 366;
+
+// Completed sprints in the rolling average velocity
+export const VELOCITY_WINDOW = 3;
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight
+ * @param {string} text - Date string
+ * @returns {Date|null}
+ */
+function parseDay(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export function formatDay(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * List the days a sprint covers
+ * @param {Object} sprint - Sprint with startDate and endDate
+ * @returns {Date[]} Local midnight of each day, empty if the dates are unusable
+ */
+export function getSprintDays(sprint) {
+  const start = parseDay(sprint.startDate);
+  const end = parseDay(sprint.endDate);
+  if (!start || !end || end < start) return [];
+
+  const days = [];
+  for (let day = start; day <= end && days.length < MAX_SPRINT_DAYS; ) {
+    days.push(day);
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  }
+  return days;
+}
+
+/**
+ * Tasks that are or ever were part of a sprint
+ * @param {Object} sprint - Sprint
+ * @param {Object[]} tasks - All tasks
+ * @returns {Object[]}
+ */
+export function getSprintCandidates(sprint, tasks) {
+  return tasks.filter(task =>
+    task.sprint === sprint.id ||
+    (task.history || []).some(entry =>
+      entry.field === 'sprint' && (entry.from === sprint.id || entry.to === sprint.id)
+    )
+  );
+}
+
+/**
+ * Points in a sprint and how many of them were done at a point in time
+ * @param {Object} sprint - Sprint
+ * @param {Object[]} candidates - Tasks from getSprintCandidates
+ * @param {Function} isDone - Checks whether a status id counts as done
+ * @param {Date} time - Point in time
+ * @returns {Object} { scope, completed, tasks, done }
+ */
+export function getSprintStateAt(sprint, candidates, isDone, time) {
+  const state = { scope: 0, completed: 0, tasks: 0, done: 0 };
+
+  for (const task of candidates) {
+    const created = getCreatedTime(task);
+    if (created && created > time) continue;
+    if (getFieldValueAt(task, 'sprint', time) !== sprint.id) continue;
+
+    const points = Number(getFieldValueAt(task, 'storyPoints', time)) || 0;
+    state.scope += points;
+    state.tasks++;
+
+    if (isDone(getFieldValueAt(task, 'status', time))) {
+      state.completed += points;
+      state.done++;
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Build burndown and burnup series for a sprint
+ * @param {Object} sprint - Sprint with startDate and endDate
+ * @param {Object[]} tasks - All tasks
+ * @param {Function} isDone - Checks whether a status id counts as done
+ * @param {Date} now - Current time, days after it have no values
+ * @returns {Object} { days, scope, completed, remaining, ideal, scopeChanges }
+ */
+export function buildBurnData(sprint, tasks, isDone, now = new Date()) {
+  const days = getSprintDays(sprint);
+  const candidates = getSprintCandidates(sprint, tasks);
+  const data = { days: days.map(formatDay), scope: [], completed: [], remaining: [], ideal: [], scopeChanges: [] };
+
+  for (const day of days) {
+    if (day > now) {
+      data.scope.push(null);
+      data.completed.push(null);
+      data.remaining.push(null);
+      continue;
+    }
+
+    const endOfDay = new Date(Math.min(day.getTime() + DAY_MS - 1, now.getTime()));
+    const state = getSprintStateAt(sprint, candidates, isDone, endOfDay);
+    data.scope.push(state.scope);
+    data.completed.push(state.completed);
+    data.remaining.push(state.scope - state.completed);
+  }
+
+  // Ideal line runs from the first day's scope down to zero
+  const committed = data.scope[0] ?? 0;
+  const steps = Math.max(days.length - 1, 1);
+  data.ideal = days.map((day, i) => committed * (1 - i / steps));
+
+  for (let i = 1; i < data.scope.length; i++) {
+    if (data.scope[i] === null) break;
+    const delta = data.scope[i] - data.scope[i - 1];
+    if (delta !== 0) {
+      data.scopeChanges.push({ index: i, day: data.days[i], delta });
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Committed and completed points for one sprint
+ * @param {Object} sprint - Sprint with startDate and endDate
+ * @param {Object[]} tasks - All tasks
+ * @param {Function} isDone - Checks whether a status id counts as done
+ * @param {Date} now - Current time
+ * @returns {Object} { committed, completed, ratio, carryOver }
+ */
+export function getSprintVelocity(sprint, tasks, isDone, now = new Date()) {
+  const days = getSprintDays(sprint);
+  const candidates = getSprintCandidates(sprint, tasks);
+  const endOfDay = day => new Date(Math.min(day.getTime() + DAY_MS - 1, now.getTime()));
+
+  // Without usable dates, the sprint as it is now is the best we have
+  const start = days.length > 0 ? getSprintStateAt(sprint, candidates, isDone, endOfDay(days[0])) : null;
+  let endTime = days.length > 0 ? endOfDay(days[days.length - 1]) : now;
+
+  // Unfinished tasks are moved out when the sprint is completed, so a sprint
+  // completed before its last day ends is measured just before that
+  const completedAt = new Date(sprint.completedAt);
+  if (completedAt <= endTime) endTime = new Date(completedAt.getTime() - 1);
+
+  const end = getSprintStateAt(sprint, candidates, isDone, endTime);
+  const committed = start ? start.scope : end.scope;
+
+  return {
+    committed,
+    completed: end.completed,
+    ratio: committed > 0 ? end.completed / committed : null,
+    carryOver: end.tasks - end.done
+  };
+}
+
+/**
+ * Velocity of every completed sprint with a rolling average
+ * @param {Object[]} sprints - All sprints
+ * @param {Object[]} tasks - All tasks
+ * @param {Function} isDone - Checks whether a status id counts as done
+ * @param {number} window - Number of sprints in the rolling average
+ * @returns {Object} { rows, averageVelocity, averageRatio }
+ */
+export function buildVelocityReport(sprints, tasks, isDone, window = VELOCITY_WINDOW) {
+  const completed = sprints
+    .filter(sprint => sprint.status === 'completed')
+    .sort((a, b) => String(a.endDate).localeCompare(String(b.endDate)) || a.id - b.id);
+
+  const rows = completed.map(sprint => ({ sprint, ...getSprintVelocity(sprint, tasks, isDone) }));
+  rows.forEach((row, i) => {
+    const recent = rows.slice(Math.max(0, i - window + 1), i + 1);
+    row.rollingAverage = average(recent.map(r => r.completed));
+  });
+
+  const recent = rows.slice(-window);
+  return {
+    rows,
+    averageVelocity: recent.length > 0 ? average(recent.map(r => r.completed)) : null,
+    averageRatio: average(recent.map(r => r.ratio).filter(ratio => ratio !== null))
+  };
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Finished and unfinished work currently in a sprint
+ * @param {Object} sprint - Sprint
+ * @param {Object[]} tasks - All tasks
+ * @param {Function} isDone - Checks whether a status id counts as done
+ * @returns {Object} { completedTasks, completedPoints, incompleteTasks, incompletePoints }
+ */
+export function getSprintSummary(sprint, tasks, isDone) {
+  const summary = { completedTasks: 0, completedPoints: 0, incompleteTasks: 0, incompletePoints: 0 };
+
+  for (const task of tasks.filter(t => t.sprint === sprint.id)) {
+    const points = task.storyPoints || 0;
+    if (isDone(task.status)) {
+      summary.completedTasks++;
+      summary.completedPoints += points;
+    } else {
+      summary.incompleteTasks++;
+      summary.incompletePoints += points;
+    }
+  }
+
+  return summary;
+}
@@ -3,13 +3,61 @@
  */
 
 import fileSystemService from './fileSystemService.js';
-import { parseMarkdown, createMarkdown } from './markdownParser.js';
+import conflictService, { replaceFields, saveWithRollback } from './conflictService.js';
+import { FileRepository } from './fileRepository.js';
+import { parseMarkdown, createMarkdown, YamlError } from './markdownParser.js';
 
-const SPRINTS_DIR = 'sprints';
+export const SPRINTS_DIR = 'sprints';
+
+// Sprint object properties that aren't frontmatter fields
+const RUNTIME_FIELDS = ['filename', 'body', 'fileState'];
+
+const SUMMARY_HEADING = '## Sprint Summary';
+
+/**
+ * Format a completion summary as a markdown section
+ * @param {Object} summary - { completedAt, completedTasks, completedPoints, incompleteTasks, incompletePoints, carriedOver }
+ * @returns {string}
+ */
+function formatSummary(summary) {
+  const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`;
+  const lines = [
+    `- Completed on: ${summary.completedAt}`,
+    `- Completed: ${plural(summary.completedTasks, 'task')}, ${plural(summary.completedPoints, 'point')}`,
+    `- Incomplete: ${plural(summary.incompleteTasks, 'task')}, ${plural(summary.incompletePoints, 'point')}`
+  ];
+  for (const [destination, count] of Object.entries(summary.carriedOver || {})) {
+    lines.push(`- Moved to ${destination}: ${plural(count, 'task')}`);
+  }
+  return `${SUMMARY_HEADING}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Replace the summary section of a sprint body, or append one
+ * @param {string} body - Sprint body
+ * @param {string} section - Formatted summary
+ * @returns {string}
+ */
+function setSummary(body, section) {
+  const start = body.indexOf(SUMMARY_HEADING);
+  if (start === -1) {
+    return body.trim() ? `${body.trimEnd()}\n\n${section}` : section;
+  }
+
+  // The section runs until the next heading of the same level
+  const next = body.slice(start + SUMMARY_HEADING.length).search(/\n## /);
+  const end = next === -1 ? body.length : start + SUMMARY_HEADING.length + next + 1;
+  return `${body.slice(0, start)}${section}${end < body.length ? `\n${body.slice(end)}` : ''}`;
+}
 
 class SprintService {
+  constructor() {
+    this.repository = new FileRepository(SPRINTS_DIR, filename => this.loadSprint(filename));
+  }
+
   /**
-   * Generate filename from sprint
+   * Generate filename from sprint. Names that slug to a file another sprint
+   * already uses get a numeric suffix instead of overwriting it.
    * @param {Object} sprint - Sprint object
    * @returns {string} Filename
    */
@@ -17,8 +65,13 @@ class SprintService {
     const slug = sprint.name
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
-    return `${slug}.md`;
+      .replace(/^-|-$/g, '') || 'sprint';
+
+    let filename = `${slug}.md`;
+    for (let n = 2; filename !== sprint.filename && this.repository.has(filename); n++) {
+      filename = `${slug}-${n}.md`;
+    }
+    return filename;
   }
 
   /**
@@ -35,28 +88,68 @@ class SprintService {
       endDate: sprint.endDate,
       status: sprint.status
     };
-    return createMarkdown(frontmatter, sprint.body || '');
+
+    // Keep fields the app doesn't know about
+    for (const [key, value] of Object.entries(sprint)) {
+      if (!(key in frontmatter) && !RUNTIME_FIELDS.includes(key)) frontmatter[key] = value;
+    }
+
+    return createMarkdown(frontmatter, sprint.body || '', sprint.fileState?.source ?? null);
   }
 
   /**
-   * Get all sprints
-   * @returns {Promise<Object[]>} Array of sprint objects
+   * Read and parse a single sprint file
+   * @param {string} filename - File name within the sprints directory
+   * @returns {Promise<Object|null>} Sprint object, or null if the file is missing or malformed
    */
-  async getAllSprints() {
-    const files = await fileSystemService.listFiles(SPRINTS_DIR);
-    const sprints = [];
-
-    for (const filename of files) {
-      const content = await fileSystemService.readFile(SPRINTS_DIR, filename);
-      const { frontmatter, body } = parseMarkdown(content);
-      sprints.push({
-        ...frontmatter,
-        body,
+  async loadSprint(filename) {
+    let file;
+    try {
+      file = await fileSystemService.readFileWithStats(SPRINTS_DIR, filename);
+    } catch (err) {
+      if (err.name === 'NotFoundError') return null;
+      throw err;
+    }
+
+    try {
+      const parsed = parseMarkdown(file.content);
+      const sprint = {
+        ...parsed.frontmatter,
+        body: parsed.body,
         filename
-      });
+      };
+      conflictService.track(sprint, file.content, file.lastModified, { ...parsed.frontmatter, body: parsed.body });
+      return sprint;
+    } catch (err) {
+      if (!(err instanceof YamlError)) throw err;
+      console.warn(`Skipping sprint file ${filename}:`, err.message);
+      return null;
     }
+  }
+
+  /**
+   * Get all sprints, re-reading only files that changed
+   * @returns {Promise<Object[]>} Array of sprint objects
+   */
+  async getAllSprints() {
+    return await this.repository.loadAll();
+  }
 
-    return sprints.sort((a, b) => a.id - b.id);
+  /**
+   * Get sprints from the in-memory cache without touching the disk
+   * @returns {Object[]} Array of sprint objects sorted by ID
+   */
+  getCachedSprints() {
+    return this.repository.items();
+  }
+
+  /**
+   * Reload sprint files that changed outside the app
+   * @param {Object} changes - { changed: string[], removed: string[] }
+   * @returns {Promise<number>} Number of sprints affected
+   */
+  async applyFileChanges(changes) {
+    return await this.repository.applyChanges(changes);
   }
 
   /**
@@ -64,7 +157,7 @@ class SprintService {
    * @returns {Promise<Object|null>}
    */
   async getActiveSprint() {
-    const sprints = await this.getAllSprints();
+    const sprints = await this.repository.getItems();
     return sprints.find(s => s.status === 'active') || null;
   }
 
@@ -74,7 +167,7 @@ class SprintService {
    * @returns {Promise<Object|null>}
    */
   async getSprintById(id) {
-    const sprints = await this.getAllSprints();
+    const sprints = await this.repository.getItems();
     return sprints.find(s => s.id === id) || null;
   }
 
@@ -85,6 +178,9 @@ class SprintService {
    * @returns {Promise<Object>} Created sprint
    */
   async createSprint(data, getNextId) {
+    // Make sure the cache knows every file before picking a filename
+    await this.repository.getItems();
+
     const sprint = {
       id: await getNextId(),
       name: data.name,
@@ -95,26 +191,51 @@ class SprintService {
       body: data.body || ''
     };
 
-    const filename = this.generateFilename(sprint);
+    sprint.filename = this.generateFilename(sprint);
     const content = this.serializeSprint(sprint);
-    await fileSystemService.writeFile(SPRINTS_DIR, filename, content);
+    const stats = await fileSystemService.writeFile(SPRINTS_DIR, sprint.filename, content);
+    conflictService.track(sprint, content, stats.lastModified);
+    this.repository.set(sprint, stats.size);
 
-    return { ...sprint, filename };
+    return sprint;
   }
 
   /**
    * Update an existing sprint
    * @param {Object} sprint - Sprint with updates
-   * @returns {Promise<Object>} Updated sprint
+   * @returns {Promise<Object|null>} Updated sprint, or the version on disk if the user kept it
    */
   async updateSprint(sprint) {
+    // Don't silently overwrite changes made on disk since the sprint was loaded
+    const resolved = await conflictService.resolveBeforeWrite(SPRINTS_DIR, sprint, f => this.loadSprint(f));
+    if (!resolved) {
+      // Kept the version on disk: drop the unsaved edits from the cache
+      return await this.repository.reload(sprint.filename);
+    }
+    if (resolved !== sprint) replaceFields(sprint, resolved);
+
     const oldFilename = sprint.filename;
     const newFilename = this.generateFilename(sprint);
     const content = this.serializeSprint(sprint);
     
-    await fileSystemService.renameFile(SPRINTS_DIR, oldFilename, newFilename, content);
+    const stats = await fileSystemService.renameFile(SPRINTS_DIR, oldFilename, newFilename, content);
+    sprint.filename = newFilename;
+    conflictService.track(sprint, content, stats.lastModified);
+    this.repository.delete(oldFilename);
+    this.repository.set(sprint, stats.size);
     
-    return { ...sprint, filename: newFilename };
+    return { ...sprint };
+  }
+
+  /**
+   * Change a cached sprint and save it, leaving it unchanged if the save is cancelled
+   * @param {Object} sprint - Sprint to change
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} Updated sprint
+   * @throws {SaveCancelledError} If the user cancelled the save
+   */
+  async saveChanges(sprint, changes) {
+    return await saveWithRollback(sprint, changes, s => this.updateSprint(s));
   }
 
   /**
@@ -123,25 +244,29 @@ class SprintService {
    * @returns {Promise<Object>} Updated sprint
    */
   async startSprint(sprint) {
-    // First, complete any other active sprint
+    // The app completes the previous sprint through the completion dialog
+    // first; this only catches callers that didn't
     const activeSprint = await this.getActiveSprint();
     if (activeSprint && activeSprint.id !== sprint.id) {
-      activeSprint.status = 'completed';
-      await this.updateSprint(activeSprint);
+      await this.saveChanges(activeSprint, { status: 'completed' });
     }
 
-    sprint.status = 'active';
-    return await this.updateSprint(sprint);
+    return await this.saveChanges(sprint, { status: 'active' });
   }
 
   /**
    * Complete a sprint
    * @param {Object} sprint - Sprint to complete
+   * @param {Object} summary - Completion summary recorded in the sprint body
+   * @param {Date} completedAt - When the sprint was completed, before its unfinished tasks were moved
    * @returns {Promise<Object>} Updated sprint
    */
-  async completeSprint(sprint) {
-    sprint.status = 'completed';
-    return await this.updateSprint(sprint);
+  async completeSprint(sprint, summary = null, completedAt = new Date()) {
+    const changes = { status: 'completed', completedAt: completedAt.toISOString() };
+    if (summary) {
+      changes.body = setSummary(sprint.body || '', formatSummary(summary));
+    }
+    return await this.saveChanges(sprint, changes);
   }
 
   /**
@@ -150,6 +275,7 @@ class SprintService {
    */
   async deleteSprint(sprint) {
     await fileSystemService.deleteFile(SPRINTS_DIR, sprint.filename);
+    this.repository.delete(sprint.filename);
   }
 }
 
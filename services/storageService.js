@@ -92,7 +92,9 @@ class StorageService {
 
 // Keys
 export const STORAGE_KEYS = {
-  DIRECTORY_HANDLE: HANDLE_KEY
+  DIRECTORY_HANDLE: HANDLE_KEY,
+  USER_NAME: 'userName',
+  RECENT_PROJECTS: 'recentProjects'
 };
 
 // Export singleton
@@ -0,0 +1,67 @@
+/**
+ * Subtasks - Tasks linked to a parent task through their `parent` field
+ *
+ *   parent: 12
+ *
+ * A parent rolls up its children's progress and points. Links to tasks that
+ * no longer exist are ignored.
+ */
+
+/**
+ * Read a task's parent field
+ * @param {Object} task - Task
+ * @returns {number|null} Parent task ID
+ */
+export function getParentId(task) {
+  const id = typeof task.parent === 'string' ? parseInt(task.parent.replace(/^#/, '')) : task.parent;
+  return Number.isInteger(id) && id !== task.id ? id : null;
+}
+
+/**
+ * Tasks whose parent is the given task
+ * @param {Object[]} tasks - All tasks
+ * @param {number} parentId - Parent task ID
+ * @returns {Object[]}
+ */
+export function getSubtasks(tasks, parentId) {
+  return tasks.filter(task => getParentId(task) === parentId);
+}
+
+/**
+ * Sum up a parent's children
+ * @param {Object[]} children - Subtasks
+ * @param {Function} isDone - (status) => whether the status counts as done
+ * @returns {Object|null} { done, total, points, donePoints }, or null without children
+ */
+export function getRollup(children, isDone) {
+  if (children.length === 0) return null;
+
+  const rollup = { done: 0, total: children.length, points: 0, donePoints: 0 };
+  for (const child of children) {
+    const points = child.storyPoints || 0;
+    rollup.points += points;
+    if (isDone(child.status)) {
+      rollup.done++;
+      rollup.donePoints += points;
+    }
+  }
+  return rollup;
+}
+
+/**
+ * Check whether making a task a child of another would link it to itself
+ * @param {Object[]} tasks - All tasks
+ * @param {number} taskId - Task getting the parent
+ * @param {number} parentId - Proposed parent
+ * @returns {boolean}
+ */
+export function createsCycle(tasks, taskId, parentId) {
+  const seen = new Set();
+  for (let id = parentId; id !== null && !seen.has(id); ) {
+    if (id === taskId) return true;
+    seen.add(id);
+    const task = tasks.find(t => t.id === id);
+    id = task ? getParentId(task) : null;
+  }
+  return false;
+}
@@ -0,0 +1,180 @@
+/**
+ * TaskHistory - Activity log kept in a "## History" section of each task file
+ *
+ * Each entry is one list item:
+ *
+ *   - 2026-01-07T10:15:00.000Z status: "todo" → "in-progress" by Alice
+ *   - 2026-01-07T11:00:00.000Z body by Alice
+ *
+ * A "## History" section is only read as the log when it is the last section
+ * and every line in it is an entry. Anything else is part of the description.
+ */
+
+import { LINK_TYPES } from './taskLinks.js';
+
+// Fields recorded when they change through taskService
+export const TRACKED_FIELDS = ['title', 'status', 'sprint', 'priority', 'storyPoints', 'assignee', 'labels', 'parent',
+  'epic', 'blockedBy', 'relatesTo', 'duplicates', 'body'];
+
+const HISTORY_HEADING = '## History';
+const VALUE = String.raw`"(?:[^"\\]|\\.)*"|[^\s"]+`;
+const ENTRY_PATTERN = new RegExp(`^- (\\d{4}-\\d{2}-\\d{2}T\\S+) (\\w+)(?:: (${VALUE}) → (${VALUE}))?(?: by (.+))?$`);
+
+/**
+ * Split a task body into the description and its history entries
+ * @param {string} body - Markdown body as stored in the file
+ * @returns {Object} { description: string, history: Object[] }
+ */
+export function parseHistory(body) {
+  const index = body.lastIndexOf(HISTORY_HEADING);
+  const atLineStart = index === 0 || (index > 0 && body[index - 1] === '\n');
+  const lineEnd = body.indexOf('\n', index);
+  const headingLine = body.slice(index, lineEnd === -1 ? body.length : lineEnd);
+
+  if (index === -1 || !atLineStart || headingLine.trim() !== HISTORY_HEADING) {
+    return { description: body, history: [] };
+  }
+
+  const lines = body
+    .slice(index + headingLine.length)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+  const history = lines.map(parseEntry);
+
+  // A section the user wrote under the same heading stays in the description
+  if (history.length === 0 || history.includes(null)) {
+    return { description: body, history: [] };
+  }
+
+  return { description: body.slice(0, index).trim(), history };
+}
+
+function parseEntry(line) {
+  const match = line.match(ENTRY_PATTERN);
+  if (!match) return null;
+
+  const [, at, field, from, to, author] = match;
+  const entry = { at, field };
+  if (from !== undefined) {
+    entry.from = parseValue(from);
+    entry.to = parseValue(to);
+  }
+  if (author) entry.author = author;
+  return entry;
+}
+
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Append the history section to a description
+ * @param {string} description - Task description
+ * @param {Object[]} history - History entries
+ * @returns {string} Markdown body
+ */
+export function appendHistory(description, history = []) {
+  if (history.length === 0) return description;
+
+  const lines = history.map(formatEntry).join('\n');
+  return `${description ? `${description}\n\n` : ''}${HISTORY_HEADING}\n\n${lines}\n`;
+}
+
+function formatEntry(entry) {
+  let line = `- ${entry.at} ${entry.field}`;
+  if ('from' in entry) {
+    line += `: ${JSON.stringify(entry.from ?? null)} → ${JSON.stringify(entry.to ?? null)}`;
+  }
+  if (entry.author) line += ` by ${entry.author}`;
+  return line;
+}
+
+/**
+ * Build history entries for the fields that changed between two versions
+ * @param {Object|null} before - Previous version, or null for a new task
+ * @param {Object} after - New version
+ * @param {string} at - ISO timestamp
+ * @param {string|null} author - Who made the change
+ * @returns {Object[]} New entries
+ */
+export function diffTask(before, after, at, author = null) {
+  const withAuthor = entry => (author ? { ...entry, author } : entry);
+
+  if (!before) {
+    return [withAuthor({ at, field: 'created' })];
+  }
+
+  const entries = [];
+  for (const field of TRACKED_FIELDS) {
+    const from = normalizeValue(field, before[field]);
+    const to = normalizeValue(field, after[field]);
+    if (from === to) continue;
+
+    // Descriptions are too long to log, only the fact that they changed
+    entries.push(withAuthor(field === 'body' ? { at, field } : { at, field, from, to }));
+  }
+  return entries;
+}
+
+/**
+ * Treat missing values the way serializeTask writes them
+ */
+function normalizeValue(field, value) {
+  if (field === 'body') return value || '';
+  if (field === 'storyPoints') return value || 0;
+  // Logged as one string, the entry format has no room for lists
+  if (field === 'labels') return (value || []).join(', ') || null;
+  if (LINK_TYPES.some(link => link.key === field)) return (value || []).map(id => `#${id}`).join(', ') || null;
+  return value ?? null;
+}
+
+/**
+ * Time from the first status change until the task last reached a done status
+ * @param {Object} task - Task with history
+ * @param {Function} isDone - Checks whether a status id counts as done
+ * @returns {number|null} Milliseconds, or null while the task isn't done
+ */
+export function getCycleTime(task, isDone) {
+  if (!isDone(task.status)) return null;
+
+  const statusChanges = (task.history || []).filter(entry => entry.field === 'status');
+  const finished = statusChanges.filter(entry => isDone(entry.to)).pop();
+  if (statusChanges.length === 0 || !finished) return null;
+
+  return new Date(finished.at) - new Date(statusChanges[0].at);
+}
+
+/**
+ * Reconstruct what a field was at a point in time by undoing later changes
+ * @param {Object} task - Task with history
+ * @param {string} field - Tracked field name
+ * @param {Date} time - Point in time
+ * @returns {any} Field value at that time
+ */
+export function getFieldValueAt(task, field, time) {
+  const entries = (task.history || []).filter(entry => entry.field === field && 'from' in entry);
+  let value = task[field];
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (new Date(entries[i].at) <= time) break;
+    value = entries[i].from;
+  }
+
+  return value ?? null;
+}
+
+/**
+ * When a task was created, from its history or createdAt field
+ * @param {Object} task - Task with history
+ * @returns {Date|null}
+ */
+export function getCreatedTime(task) {
+  const created = (task.history || []).find(entry => entry.field === 'created');
+  const time = new Date(created ? created.at : task.createdAt);
+  return isNaN(time) ? null : time;
+}
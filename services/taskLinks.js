@@ -0,0 +1,68 @@
+/**
+ * TaskLinks - Links between tasks, stored as ID lists in frontmatter
+ *
+ *   blockedBy: [12, 15]
+ *   relatesTo: [7]
+ *   duplicates: [3]
+ *
+ * Links are written on one side only. A task is blocked while any task it
+ * is blocked by exists and isn't done.
+ */
+
+export const LINK_TYPES = [
+  { key: 'blockedBy', name: 'Blocked by' },
+  { key: 'relatesTo', name: 'Relates to' },
+  { key: 'duplicates', name: 'Duplicates' }
+];
+
+/**
+ * Normalize a link field
+ * @param {number|string|Array} raw - Value from the task's frontmatter, IDs may be written as "#12"
+ * @returns {number[]} Unique task IDs, in their original order
+ */
+export function normalizeLinks(raw) {
+  const entries = Array.isArray(raw) ? raw : [raw];
+  const ids = [];
+
+  for (const entry of entries) {
+    const id = typeof entry === 'string' ? parseInt(entry.trim().replace(/^#/, '')) : entry;
+    if (Number.isInteger(id) && !ids.includes(id)) ids.push(id);
+  }
+
+  return ids;
+}
+
+/**
+ * Tasks blocking a task that aren't done yet
+ * @param {Object} task - Task
+ * @param {Object[]} tasks - All tasks
+ * @param {Function} isDone - (status) => whether the status counts as done
+ * @returns {Object[]}
+ */
+export function getOpenBlockers(task, tasks, isDone) {
+  return (task.blockedBy || [])
+    .filter(id => id !== task.id)
+    .map(id => tasks.find(t => t.id === id))
+    .filter(blocker => blocker && !isDone(blocker.status));
+}
+
+/**
+ * Tasks with a link to a task
+ * @param {Object[]} tasks - All tasks
+ * @param {number} id - Linked task ID
+ * @returns {Object[]}
+ */
+export function findLinksTo(tasks, id) {
+  return tasks.filter(task => task.id !== id && LINK_TYPES.some(({ key }) => (task[key] || []).includes(id)));
+}
+
+/**
+ * Remove every link from a task to another one
+ * @param {Object} task - Task to change
+ * @param {number} id - Linked task ID
+ */
+export function removeLinksTo(task, id) {
+  for (const { key } of LINK_TYPES) {
+    task[key] = (task[key] || []).filter(linked => linked !== id);
+  }
+}
@@ -3,11 +3,42 @@
  */
 
 import fileSystemService from './fileSystemService.js';
-import { parseMarkdown, createMarkdown } from './markdownParser.js';
+import conflictService, { replaceFields, saveWithRollback } from './conflictService.js';
+import { FileRepository } from './fileRepository.js';
+import { parseMarkdown, createMarkdown, YamlError } from './markdownParser.js';
+import { parseHistory, appendHistory, diffTask } from './taskHistory.js';
+import { normalizeTaskLabels } from './labels.js';
+import { LINK_TYPES, normalizeLinks } from './taskLinks.js';
+import { getParentId } from './subtasks.js';
 
-const TASKS_DIR = 'tasks';
+export const TASKS_DIR = 'tasks';
+
+// Task object properties that aren't frontmatter fields
+const RUNTIME_FIELDS = ['filename', 'body', 'history', 'fileState'];
+
+/**
+ * Match "#12" mentions of a task ID in markdown, but not "#123" or "&#12;"
+ * @param {number} id - Task ID
+ * @returns {RegExp}
+ */
+function mentionPattern(id) {
+  return new RegExp(`(^|[^\\w&#])#${id}(?!\\d)`, 'g');
+}
 
 class TaskService {
+  constructor() {
+    this.repository = new FileRepository(TASKS_DIR, filename => this.loadTask(filename));
+    this.author = null;
+  }
+
+  /**
+   * Set the name recorded in task history
+   * @param {string|null} name - Author name
+   */
+  setAuthor(name) {
+    this.author = name || null;
+  }
+
   /**
    * Generate filename from task
    * @param {Object} task - Task object
@@ -36,31 +67,107 @@ class TaskService {
       sprint: task.sprint,
       priority: task.priority,
       storyPoints: task.storyPoints || 0,
+      // Optional fields are left out of the file while empty
+      assignee: task.assignee || undefined,
+      labels: task.labels?.length > 0 ? task.labels : undefined,
+      rank: task.rank || undefined,
+      parent: task.parent || undefined,
+      epic: task.epic || undefined,
       createdAt: task.createdAt,
       updatedAt: task.updatedAt
     };
-    return createMarkdown(frontmatter, task.body || '');
+
+    for (const { key } of LINK_TYPES) {
+      frontmatter[key] = task[key]?.length > 0 ? task[key] : undefined;
+    }
+
+    // Keep fields the app doesn't know about, e.g. ones added by hand or by scripts
+    for (const [key, value] of Object.entries(task)) {
+      if (!(key in frontmatter) && !RUNTIME_FIELDS.includes(key)) frontmatter[key] = value;
+    }
+
+    const source = task.fileState?.source ?? null;
+    return createMarkdown(frontmatter, appendHistory(task.body || '', task.history), source);
   }
 
   /**
-   * Get all tasks from the tasks directory
+   * Parse task file contents, separating the history section from the description
+   * @param {string} content - Markdown content
+   * @returns {Object} Task fields with body (description only) and history
+   */
+  parseTask(content) {
+    const { frontmatter, body } = parseMarkdown(content);
+    const { description, history } = parseHistory(body);
+    const links = Object.fromEntries(LINK_TYPES.map(({ key }) => [key, normalizeLinks(frontmatter[key] ?? [])]));
+    return { ...frontmatter, labels: normalizeTaskLabels(frontmatter.labels ?? []), ...links, body: description, history };
+  }
+
+  /**
+   * Read and parse a single task file
+   * @param {string} filename - File name within the tasks directory
+   * @returns {Promise<Object|null>} Task object, or null if the file is missing or malformed
+   */
+  async loadTask(filename) {
+    let file;
+    try {
+      file = await fileSystemService.readFileWithStats(TASKS_DIR, filename);
+    } catch (err) {
+      if (err.name === 'NotFoundError') return null;
+      throw err;
+    }
+
+    try {
+      const fields = this.parseTask(file.content);
+      const task = {
+        ...fields,
+        filename
+      };
+      conflictService.track(task, file.content, file.lastModified, fields);
+      return task;
+    } catch (err) {
+      if (!(err instanceof YamlError)) throw err;
+      console.warn(`Skipping task file ${filename}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get all tasks from the tasks directory, re-reading only files that changed
    * @returns {Promise<Object[]>} Array of task objects
    */
   async getAllTasks() {
-    const files = await fileSystemService.listFiles(TASKS_DIR);
-    const tasks = [];
-
-    for (const filename of files) {
-      const content = await fileSystemService.readFile(TASKS_DIR, filename);
-      const { frontmatter, body } = parseMarkdown(content);
-      tasks.push({
-        ...frontmatter,
-        body,
-        filename
-      });
+    return await this.repository.loadAll();
+  }
+
+  /**
+   * Task IDs used on disk. Files that fail to parse count with the ID
+   * their filename starts with, so it isn't handed out again.
+   * @returns {Promise<number[]>}
+   */
+  async getUsedIds() {
+    const ids = (await this.getAllTasks()).map(task => task.id);
+    for (const filename of this.repository.filenames()) {
+      const match = filename.match(/^(\d+)[-.]/);
+      if (match) ids.push(parseInt(match[1], 10));
     }
+    return ids;
+  }
+
+  /**
+   * Get tasks from the in-memory cache without touching the disk
+   * @returns {Object[]} Array of task objects sorted by ID
+   */
+  getCachedTasks() {
+    return this.repository.items();
+  }
 
-    return tasks.sort((a, b) => a.id - b.id);
+  /**
+   * Reload task files that changed outside the app
+   * @param {Object} changes - { changed: string[], removed: string[] }
+   * @returns {Promise<number>} Number of tasks affected
+   */
+  async applyFileChanges(changes) {
+    return await this.repository.applyChanges(changes);
   }
 
   /**
@@ -68,7 +175,7 @@ class TaskService {
    * @returns {Promise<Object[]>}
    */
   async getBacklogTasks() {
-    const tasks = await this.getAllTasks();
+    const tasks = await this.repository.getItems();
     return tasks.filter(t => t.sprint === null);
   }
 
@@ -78,13 +185,14 @@ class TaskService {
    * @returns {Promise<Object[]>}
    */
   async getSprintTasks(sprintId) {
-    const tasks = await this.getAllTasks();
+    const tasks = await this.repository.getItems();
     return tasks.filter(t => t.sprint === sprintId);
   }
 
   /**
    * Create a new task
-   * @param {Object} data - Task data (title, priority, storyPoints, body)
+   * @param {Object} data - Task data (title, status, priority, storyPoints, assignee, labels, rank, parent,
+   *   epic, blockedBy, relatesTo, duplicates, body, and fields: custom field values by key)
    * @param {Function} getNextId - Function to get next task ID
    * @returns {Promise<Object>} Created task
    */
@@ -93,37 +201,77 @@ class TaskService {
     const task = {
       id: await getNextId(),
       title: data.title,
-      status: 'todo',
+      status: data.status || 'todo',
       sprint: data.sprint || null,
       priority: data.priority || 'medium',
       storyPoints: data.storyPoints || 0,
+      assignee: data.assignee || null,
+      labels: normalizeTaskLabels(data.labels || []),
+      rank: data.rank || null,
+      parent: data.parent || null,
+      epic: data.epic || null,
+      ...Object.fromEntries(LINK_TYPES.map(({ key }) => [key, normalizeLinks(data[key] || [])])),
       createdAt: now,
       updatedAt: now,
       body: data.body || ''
     };
+    for (const [key, value] of Object.entries(data.fields || {})) {
+      if (value !== null) task[key] = value;
+    }
+    task.history = diffTask(null, task, now, this.author);
 
-    const filename = this.generateFilename(task);
+    task.filename = this.generateFilename(task);
     const content = this.serializeTask(task);
-    await fileSystemService.writeFile(TASKS_DIR, filename, content);
+    const stats = await fileSystemService.writeFile(TASKS_DIR, task.filename, content);
+    conflictService.track(task, content, stats.lastModified, this.parseTask(content));
+    this.repository.set(task, stats.size);
 
-    return { ...task, filename };
+    return task;
   }
 
   /**
    * Update an existing task
    * @param {Object} task - Task with updates
-   * @returns {Promise<Object>} Updated task
+   * @returns {Promise<Object|null>} Updated task, or the version on disk if the user kept it
    */
   async updateTask(task) {
+    // Don't silently overwrite changes made on disk since the task was loaded
+    const resolved = await conflictService.resolveBeforeWrite(TASKS_DIR, task, f => this.loadTask(f));
+    if (!resolved) {
+      // Kept the version on disk: drop the unsaved edits from the cache
+      return await this.repository.reload(task.filename);
+    }
+    if (resolved !== task) replaceFields(task, resolved);
+
     const oldFilename = task.filename;
     task.updatedAt = new Date().toISOString();
+
+    // History comes from the file on disk so entries added elsewhere are kept
+    const before = task.fileState?.base || null;
+    const previousHistory = before ? before.history || [] : task.history || [];
+    task.history = [...previousHistory, ...diffTask(before, task, task.updatedAt, this.author)];
     
     const newFilename = this.generateFilename(task);
     const content = this.serializeTask(task);
     
-    await fileSystemService.renameFile(TASKS_DIR, oldFilename, newFilename, content);
+    const stats = await fileSystemService.renameFile(TASKS_DIR, oldFilename, newFilename, content);
+    task.filename = newFilename;
+    conflictService.track(task, content, stats.lastModified, this.parseTask(content));
+    this.repository.delete(oldFilename);
+    this.repository.set(task, stats.size);
     
-    return { ...task, filename: newFilename };
+    return { ...task };
+  }
+
+  /**
+   * Change a cached task and save it, leaving it unchanged if the save is cancelled
+   * @param {Object} task - Task to change
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} Updated task
+   * @throws {SaveCancelledError} If the user cancelled the save
+   */
+  async saveChanges(task, changes) {
+    return await saveWithRollback(task, changes, t => this.updateTask(t));
   }
 
   /**
@@ -133,8 +281,7 @@ class TaskService {
    * @returns {Promise<Object>} Updated task
    */
   async moveToSprint(task, sprintId) {
-    task.sprint = sprintId;
-    return await this.updateTask(task);
+    return await this.saveChanges(task, { sprint: sprintId });
   }
 
   /**
@@ -144,8 +291,71 @@ class TaskService {
    * @returns {Promise<Object>} Updated task
    */
   async updateStatus(task, status) {
-    task.status = status;
-    return await this.updateTask(task);
+    return await this.saveChanges(task, { status });
+  }
+
+  /**
+   * Find task IDs used by more than one file
+   * @param {Object[]} tasks - Tasks to check
+   * @returns {Map<number, Object[]>} ID to the tasks sharing it
+   */
+  findDuplicateIds(tasks) {
+    const byId = new Map();
+    for (const task of tasks) {
+      if (!byId.has(task.id)) byId.set(task.id, []);
+      byId.get(task.id).push(task);
+    }
+
+    const duplicates = new Map();
+    for (const [id, group] of byId) {
+      if (group.length > 1) duplicates.set(id, group);
+    }
+    return duplicates;
+  }
+
+  /**
+   * Give a task a new ID, renaming its file to match
+   * @param {Object} task - Task to renumber
+   * @param {number} newId - New task ID
+   * @returns {Promise<Object|null>} Updated task
+   */
+  async renumberTask(task, newId) {
+    return await this.saveChanges(task, { id: newId });
+  }
+
+  /**
+   * Check whether a task refers to another task ID, by a mention, as its parent or through a link
+   * @param {Object} task - Task to check
+   * @param {number} id - Referenced task ID
+   * @returns {boolean}
+   */
+  referencesTask(task, id) {
+    return getParentId(task) === id ||
+      LINK_TYPES.some(({ key }) => (task[key] || []).includes(id)) ||
+      mentionPattern(id).test(task.body || '');
+  }
+
+  /**
+   * Point a task's references to one task ID at another
+   * @param {Object} task - Task containing the references
+   * @param {number} oldId - Referenced task ID
+   * @param {number} newId - Replacement task ID
+   * @returns {Promise<boolean>} Whether the task was changed
+   */
+  async replaceTaskReferences(task, oldId, newId) {
+    const body = task.body || '';
+    const updated = body.replace(mentionPattern(oldId), `$1#${newId}`);
+    const reparent = getParentId(task) === oldId;
+    const relink = LINK_TYPES.filter(({ key }) => (task[key] || []).includes(oldId));
+    if (updated === body && !reparent && relink.length === 0) return false;
+
+    const changes = { body: updated };
+    if (reparent) changes.parent = newId;
+    for (const { key } of relink) {
+      changes[key] = normalizeLinks(task[key].map(id => (id === oldId ? newId : id)));
+    }
+    await this.saveChanges(task, changes);
+    return true;
   }
 
   /**
@@ -154,6 +364,7 @@ class TaskService {
    */
   async deleteTask(task) {
     await fileSystemService.deleteFile(TASKS_DIR, task.filename);
+    this.repository.delete(task.filename);
   }
 }
 
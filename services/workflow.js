@@ -0,0 +1,105 @@
+/**
+ * Workflow - Status configuration for the kanban board
+ *
+ * project.md may list statuses as plain ids or as objects:
+ *
+ *   statuses:
+ *     - todo
+ *     - id: review
+ *       name: Code Review
+ *       color: "#a855f7"
+ *       wipLimit: 3
+ *     - id: done
+ *       done: true
+ */
+
+export const DEFAULT_STATUSES = ['todo', 'in-progress', 'done'];
+
+const DEFAULT_NAMES = {
+  'todo': 'To Do',
+  'in-progress': 'In Progress'
+};
+
+const DEFAULT_COLORS = {
+  'todo': '#64748b',
+  'in-progress': '#3b82f6',
+  'review': '#a855f7',
+  'blocked': '#ef4444',
+  'done': '#22c55e'
+};
+
+/**
+ * Normalize the statuses list from project.md
+ * @param {Array<string|Object>} raw - Statuses as stored in project.md
+ * @returns {Object[]} Array of { id, name, color, done, wipLimit }
+ */
+export function normalizeStatuses(raw) {
+  const entries = Array.isArray(raw) && raw.length > 0 ? raw : DEFAULT_STATUSES;
+  const seen = new Set();
+  const statuses = [];
+
+  for (const entry of entries) {
+    const config = entry !== null && typeof entry === 'object' ? entry : { id: entry };
+    if (config.id === null || config.id === undefined || config.id === '') continue;
+
+    const id = String(config.id);
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    statuses.push({
+      id,
+      name: config.name ? String(config.name) : formatStatusName(id),
+      color: isValidColor(config.color) ? config.color : DEFAULT_COLORS[id] || null,
+      done: typeof config.done === 'boolean' ? config.done : id === 'done',
+      wipLimit: Number.isInteger(config.wipLimit) && config.wipLimit > 0 ? config.wipLimit : null
+    });
+  }
+
+  if (statuses.length === 0) {
+    return normalizeStatuses(DEFAULT_STATUSES);
+  }
+
+  // Without an explicit "done" status the last column counts as done
+  if (!statuses.some(s => s.done)) {
+    statuses[statuses.length - 1].done = true;
+  }
+
+  return statuses;
+}
+
+/**
+ * Turn a status id like "in-progress" into "In Progress"
+ * @param {string} id - Status id
+ * @returns {string}
+ */
+export function formatStatusName(id) {
+  if (DEFAULT_NAMES[id]) return DEFAULT_NAMES[id];
+  return id
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Check that a colour is safe to put in a style attribute
+ * @param {any} color - Hex colour or CSS colour name
+ * @returns {boolean}
+ */
+export function isValidColor(color) {
+  return typeof color === 'string' && /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/.test(color);
+}
+
+/**
+ * Pick a stable colour for a value that has none configured
+ * @param {string} value - Value to hash, e.g. a handle or label name
+ * @param {string[]} palette - Colours to pick from
+ * @returns {string}
+ */
+export function hashColor(value, palette) {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) | 0;
+  }
+  return palette[Math.abs(hash) % palette.length];
+}
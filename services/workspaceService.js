@@ -0,0 +1,105 @@
+/**
+ * WorkspaceService - Recently opened project folders and their UI state
+ */
+
+import storageService, { STORAGE_KEYS } from './storageService.js';
+
+// Oldest projects beyond this are dropped from the list
+const MAX_RECENT_PROJECTS = 10;
+
+class WorkspaceService {
+  /**
+   * Get recent projects, most recently opened first
+   * @returns {Promise<Object[]>} Array of { id, name, handle, lastOpened, uiState }
+   */
+  async getRecentProjects() {
+    const projects = await storageService.get(STORAGE_KEYS.RECENT_PROJECTS);
+    if (projects) {
+      return projects.sort((a, b) => b.lastOpened - a.lastOpened);
+    }
+
+    // Seed the list with the folder stored before recent projects existed
+    const handle = await storageService.get(STORAGE_KEYS.DIRECTORY_HANDLE);
+    return handle ? [this.createEntry(handle, handle.name)] : [];
+  }
+
+  /**
+   * Find the entry for a folder
+   * @param {Object[]} projects - Recent projects
+   * @param {FileSystemDirectoryHandle} handle - Folder handle
+   * @returns {Promise<Object|null>}
+   */
+  async findByHandle(projects, handle) {
+    for (const project of projects) {
+      if (await project.handle.isSameEntry(handle)) return project;
+    }
+    return null;
+  }
+
+  /**
+   * Record that a project folder was opened
+   * @param {FileSystemDirectoryHandle} handle - Folder handle
+   * @param {string} name - Project name from project.md
+   * @returns {Promise<Object>} The project entry
+   */
+  async openProject(handle, name) {
+    const projects = await this.getRecentProjects();
+    let project = await this.findByHandle(projects, handle);
+
+    if (project) {
+      project.handle = handle;
+      project.name = name;
+      project.lastOpened = Date.now();
+    } else {
+      project = this.createEntry(handle, name);
+      projects.unshift(project);
+    }
+
+    await this.save(projects);
+    return project;
+  }
+
+  /**
+   * Remove a project from the recent list (the folder itself is untouched)
+   * @param {string} id - Project id
+   */
+  async removeProject(id) {
+    const projects = await this.getRecentProjects();
+    await this.save(projects.filter(p => p.id !== id));
+  }
+
+  /**
+   * Remember the view a project was left on
+   * @param {string} id - Project id
+   * @param {Object} uiState - { view, sprintId }
+   */
+  async saveUiState(id, uiState) {
+    const projects = await this.getRecentProjects();
+    const project = projects.find(p => p.id === id);
+    if (!project) return;
+
+    project.uiState = uiState;
+    await this.save(projects);
+  }
+
+  createEntry(handle, name) {
+    return {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      handle,
+      lastOpened: Date.now(),
+      uiState: null
+    };
+  }
+
+  async save(projects) {
+    const recent = projects
+      .sort((a, b) => b.lastOpened - a.lastOpened)
+      .slice(0, MAX_RECENT_PROJECTS);
+    await storageService.set(STORAGE_KEYS.RECENT_PROJECTS, recent);
+  }
+}
+
+// Export singleton
+const workspaceService = new WorkspaceService();
+export default workspaceService;